@@ -0,0 +1,4 @@
+// Entry point for `graphql-mock-factory/apollo`.
+// It is not exported by the main entry point so that `apollo-link`
+// is only required by the projects that use it.
+module.exports = require('./dist/apollo');
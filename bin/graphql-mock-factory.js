@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { runCli } = require('../dist/cli');
+
+runCli(process.argv.slice(2)).catch(error => {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,4 @@
+// Entry point for `graphql-mock-factory/http`.
+// It is not exported by the main entry point so that the main entry
+// point does not depend on Node.js modules.
+module.exports = require('./dist/http');
@@ -0,0 +1,4 @@
+// Entry point for `graphql-mock-factory/relay-environment`.
+// It is not exported by the main entry point so that `relay-runtime`
+// is only required by the projects that use it.
+module.exports = require('./dist/relayEnvironment');
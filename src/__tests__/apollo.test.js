@@ -0,0 +1,144 @@
+// @flow
+import { execute } from 'apollo-link';
+import { parse } from 'graphql';
+import { createMockLink } from '../apollo';
+import { mockServer, mockServerAsync } from '../index';
+
+describe('createMockLink', () => {
+  const schemaDefinition = `
+    schema {
+      query: Query
+    }
+
+    type Query {
+      viewer: User
+    }
+
+    type User {
+      name: String
+      age: Int
+    }
+  `;
+
+  const mocks = {
+    User: {
+      name: () => 'User.name',
+      age: () => 42
+    }
+  };
+
+  const viewerQuery = parse(`
+    query ViewerQuery {
+      viewer {
+        name
+      }
+    }
+  `);
+
+  const otherViewerQuery = parse(`
+    query OtherViewerQuery {
+      viewer {
+        name
+      }
+    }
+  `);
+
+  const executeLink = (link, query) =>
+    new Promise((resolve, reject) =>
+      execute(link, { query }).subscribe({ next: resolve, error: reject })
+    );
+
+  it('Executes operations against the mocked server', () => {
+    const server = mockServer(schemaDefinition, mocks);
+    const link = createMockLink(server);
+
+    return executeLink(link, viewerQuery).then(result => {
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            name: 'User.name'
+          }
+        }
+      });
+    });
+  });
+
+  it('Supports mockOverride', () => {
+    const server = mockServer(schemaDefinition, mocks);
+    const link = createMockLink(server, {
+      mockOverride: { viewer: { name: 'mockOverride' } }
+    });
+
+    return executeLink(link, viewerQuery).then(result => {
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            name: 'mockOverride'
+          }
+        }
+      });
+    });
+  });
+
+  it('Supports mockOverride per operation name', () => {
+    const server = mockServer(schemaDefinition, mocks);
+    const link = createMockLink(server, {
+      mockOverride: { viewer: { name: 'mockOverride' } },
+      operationMockOverrides: {
+        ViewerQuery: { viewer: { name: 'ViewerQuery' } }
+      }
+    });
+
+    return Promise.all([
+      executeLink(link, viewerQuery),
+      executeLink(link, otherViewerQuery)
+    ]).then(([result, otherResult]) => {
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            name: 'ViewerQuery'
+          }
+        }
+      });
+      expect(otherResult).toEqual({
+        data: {
+          viewer: {
+            name: 'mockOverride'
+          }
+        }
+      });
+    });
+  });
+
+  it('Supports async mocked servers', () => {
+    const server = mockServerAsync(schemaDefinition, {
+      User: {
+        name: () => Promise.resolve('User.name')
+      }
+    });
+    const link = createMockLink(server);
+
+    return executeLink(link, viewerQuery).then(result => {
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            name: 'User.name'
+          }
+        }
+      });
+    });
+  });
+
+  it('Errors the operation on unexpected errors', async () => {
+    const server = mockServer(schemaDefinition, {
+      User: {
+        name: () => ({})
+      }
+    });
+    const link = createMockLink(server);
+
+    await expect(executeLink(link, viewerQuery)).rejects.toThrow(
+      "Base mock for 'User.name' returned an invalid value"
+    );
+  });
+});
@@ -1,5 +1,6 @@
 // @flow
-import { mockServer, mockList } from '../index';
+import { mockServer, mockServerAsync, mockList } from '../index';
+import * as random from '../random';
 
 describe('getDefautMock', () => {
   const schemaDefinition = `
@@ -117,4 +118,213 @@ describe('getDefautMock', () => {
     expect(data.listOfInts[0]).toBeNull();
     expect(data.listOfStrings).toBeNull();
   });
+  describe('seed option', () => {
+    const query = `
+      query test {
+        boolean
+        enum
+        id
+        int
+        float
+        string
+        listOfObjects {
+          property
+        }
+        listOfStrings
+        listOfInts
+      }
+    `;
+
+    it('Generates the same response for the same seed', () => {
+      const server = mockServer(schemaDefinition, {}, undefined, { seed: 1 });
+
+      expect(server(query)).toEqual(server(query));
+      expect(
+        mockServer(schemaDefinition, {}, undefined, { seed: 1 })(query)
+      ).toEqual(server(query));
+      expect(
+        mockServer(schemaDefinition, {}, undefined, { seed: 2 })(query)
+      ).not.toEqual(server(query));
+    });
+
+    it('Throws an error if the seed is invalid', () => {
+      expect.assertions(1);
+      try {
+        // $FlowFixMe This error is expected
+        mockServer(schemaDefinition, {}, undefined, { seed: {} });
+      } catch (error) {
+        expect(error.message).toBe(
+          'options.seed must be a number or a string.'
+        );
+      }
+    });
+
+    it('Can be overridden per query', () => {
+      const server = mockServer(schemaDefinition, {});
+
+      expect(server(query, {}, {}, { seed: 'seed' })).toEqual(
+        server(query, {}, {}, { seed: 'seed' })
+      );
+      expect(server(query, {}, {}, { seed: 'seed' })).not.toEqual(
+        server(query, {}, {}, { seed: 'other seed' })
+      );
+    });
+
+    it('Generates the same response for the same seed asynchronously', () => {
+      const server = mockServerAsync(schemaDefinition, {}, undefined, {
+        seed: 1
+      });
+
+      return Promise.all([server(query), server(query)]).then(
+        ([result, sameResult]) => {
+          expect(result).toEqual(sameResult);
+          expect(result).toEqual(
+            mockServer(schemaDefinition, {}, undefined, { seed: 1 })(query)
+          );
+        }
+      );
+    });
+  });
+  describe('stableValues option', () => {
+    const schemaDefinition = `
+      type Query {
+        string: String
+        viewer: User
+        user(id: ID!): User
+      }
+
+      type User {
+        id: ID
+        name: String
+        fullName: String
+        friends: [User]
+      }
+    `;
+
+    it('Generates the same values regardless of the other selected fields', () => {
+      const server = mockServer(schemaDefinition, {}, undefined, {
+        stableValues: true
+      });
+
+      const result = server(`
+        query {
+          viewer {
+            friends {
+              name
+            }
+          }
+        }
+      `);
+      const otherResult = server(`
+        query {
+          string
+          viewer {
+            id
+            friends {
+              id
+              name
+            }
+          }
+        }
+      `);
+
+      if (!result.data || !otherResult.data) throw 'No data'; // Flow
+      const data = result.data;
+      const otherData = otherResult.data;
+
+      //$FlowFixMe
+      const friendNames = data.viewer.friends.map(friend => friend.name);
+      //$FlowFixMe
+      expect(otherData.viewer.friends.map(friend => friend.name)).toEqual(
+        friendNames
+      );
+      expect(friendNames[0]).not.toEqual(friendNames[1]);
+    });
+
+    it('Generates different values for different args', () => {
+      const server = mockServer(schemaDefinition, {}, undefined, {
+        stableValues: true
+      });
+
+      const result = server(`
+        query {
+          user1: user(id: "1") {
+            name
+          }
+          user2: user(id: "2") {
+            name
+          }
+        }
+      `);
+
+      if (!result.data) throw 'No data'; // Flow
+      const data = result.data;
+
+      //$FlowFixMe
+      expect(data.user1.name).not.toEqual(data.user2.name);
+    });
+
+    it('Generates the same type mocks regardless of the selected fields', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          User: {
+            __self: () => {
+              const firstName = random.getString();
+              return { name: firstName, fullName: `${firstName} Doe` };
+            }
+          }
+        },
+        undefined,
+        { stableValues: true }
+      );
+
+      const result = server(`
+        query {
+          viewer {
+            fullName
+          }
+        }
+      `);
+      const otherResult = server(`
+        query {
+          viewer {
+            id
+            name
+            fullName
+          }
+        }
+      `);
+
+      if (!result.data || !otherResult.data) throw 'No data'; // Flow
+      const data = result.data;
+      const otherData = otherResult.data;
+
+      //$FlowFixMe
+      expect(otherData.viewer.fullName).toEqual(data.viewer.fullName);
+      //$FlowFixMe
+      expect(otherData.viewer.fullName).toEqual(`${otherData.viewer.name} Doe`);
+    });
+
+    it('Generates different values for different seeds', () => {
+      const query = `
+        query {
+          viewer {
+            id
+            name
+          }
+        }
+      `;
+      const result = mockServer(schemaDefinition, {}, undefined, {
+        stableValues: true,
+        seed: 1
+      })(query);
+      const otherResult = mockServer(schemaDefinition, {}, undefined, {
+        stableValues: true,
+        seed: 2
+      })(query);
+
+      expect(result).not.toEqual(otherResult);
+    });
+  });
 });
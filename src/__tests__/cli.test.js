@@ -0,0 +1,247 @@
+/**
+ * @flow
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { buildSchema, introspectionFromSchema } from 'graphql';
+import { runCli, USAGE } from '../cli';
+
+describe('runCli', () => {
+  const schemaDefinition = `
+    type Query {
+      viewer: User
+    }
+
+    type User {
+      name: String
+      age: Int
+    }
+  `;
+
+  const query = `
+    query ViewerQuery {
+      viewer {
+        name
+      }
+    }
+
+    query AgeQuery {
+      viewer {
+        age
+      }
+    }
+  `;
+
+  const tmpDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), 'graphql-mock-factory-')
+  );
+  const writeFile = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const schemaPath = writeFile('schema.graphql', schemaDefinition);
+  const introspectionPath = writeFile(
+    'schema.json',
+    JSON.stringify({
+      data: introspectionFromSchema(buildSchema(schemaDefinition))
+    })
+  );
+  const mocksPath = writeFile(
+    'mocks.js',
+    `module.exports = {
+      User: {
+        name: () => 'User.name',
+        age: () => 42
+      }
+    };`
+  );
+  const queryPath = writeFile('query.graphql', query);
+
+  afterAll(() => {
+    fs.readdirSync(tmpDir).forEach(name =>
+      fs.unlinkSync(path.join(tmpDir, name))
+    );
+    fs.rmdirSync(tmpDir);
+  });
+
+  const createOutput = () => {
+    let text = '';
+    return {
+      write: chunk => {
+        text += chunk;
+      },
+      getText: () => text
+    };
+  };
+
+  it('Prints the mocked response of a query', async () => {
+    const output = createOutput();
+
+    await runCli(
+      [
+        schemaPath,
+        '--mocks',
+        mocksPath,
+        '--query',
+        queryPath,
+        '--operation-name',
+        'ViewerQuery'
+      ],
+      output
+    );
+
+    expect(JSON.parse(output.getText())).toEqual({
+      data: {
+        viewer: {
+          name: 'User.name'
+        }
+      }
+    });
+  });
+
+  it('Supports introspection results', async () => {
+    const output = createOutput();
+
+    await runCli(
+      [
+        introspectionPath,
+        '--mocks',
+        mocksPath,
+        '--query',
+        queryPath,
+        '--operation-name',
+        'AgeQuery'
+      ],
+      output
+    );
+
+    expect(JSON.parse(output.getText())).toEqual({
+      data: {
+        viewer: {
+          age: 42
+        }
+      }
+    });
+  });
+
+  it('Supports mockOverride', async () => {
+    const output = createOutput();
+
+    await runCli(
+      [
+        schemaPath,
+        '--mocks',
+        mocksPath,
+        '--query',
+        queryPath,
+        '--operation-name',
+        'ViewerQuery',
+        '--mock-override',
+        '{"viewer": {"name": "mockOverride"}}'
+      ],
+      output
+    );
+
+    expect(JSON.parse(output.getText())).toEqual({
+      data: {
+        viewer: {
+          name: 'mockOverride'
+        }
+      }
+    });
+  });
+
+  it('Starts a mocked server', async () => {
+    const output = createOutput();
+
+    const httpServer = await runCli(
+      [schemaPath, '--mocks', mocksPath, '--port', '0'],
+      output
+    );
+    if (!httpServer) throw 'No server'; // Flow
+    const { port } = httpServer.address();
+
+    const response = await new Promise((resolve, reject) => {
+      const request = http.request(
+        {
+          host: 'localhost',
+          port,
+          method: 'POST',
+          path: '/graphql',
+          headers: { 'Content-Type': 'application/json' }
+        },
+        response => {
+          let body = '';
+          response.on('data', chunk => {
+            body += chunk;
+          });
+          response.on('end', () => resolve(JSON.parse(body)));
+        }
+      );
+      request.on('error', reject);
+      request.end(JSON.stringify({ query, operationName: 'ViewerQuery' }));
+    });
+    await new Promise(resolve => httpServer.close(resolve));
+
+    expect(output.getText()).toBe(
+      `Mocked GraphQL server running at http://localhost:${port}/graphql\n`
+    );
+    expect(response).toEqual({
+      data: {
+        viewer: {
+          name: 'User.name'
+        }
+      }
+    });
+  });
+
+  it('Prints the usage', async () => {
+    const output = createOutput();
+
+    await runCli(['--help'], output);
+
+    expect(output.getText()).toBe(USAGE);
+  });
+
+  it('Throws an error if the schema file is missing', async () => {
+    expect.assertions(1);
+    try {
+      await runCli(['--query', queryPath], createOutput());
+    } catch (error) {
+      expect(error.message).toBe(`Missing schema file.\n\n${USAGE}`);
+    }
+  });
+
+  it('Throws an error if an option is unknown', async () => {
+    expect.assertions(1);
+    try {
+      await runCli([schemaPath, '--unknown', 'value'], createOutput());
+    } catch (error) {
+      expect(error.message).toBe(`Unknown option '--unknown'.\n\n${USAGE}`);
+    }
+  });
+
+  it('Throws mock validation errors', async () => {
+    expect.assertions(1);
+    const invalidMocksPath = writeFile(
+      'invalid-mocks.js',
+      `module.exports = { User: { unknown: () => null } };`
+    );
+
+    try {
+      await runCli(
+        [schemaPath, '--mocks', invalidMocksPath, '--query', queryPath],
+        createOutput()
+      );
+    } catch (error) {
+      expect(error.message).toBe(
+        "mocks['User']['unknown'] is not defined in schema."
+      );
+    }
+  });
+});
@@ -0,0 +1,245 @@
+// @flow
+import { GraphQLError } from 'graphql';
+import { mockError, mockServer, mockServerAsync } from '../index';
+
+describe('mockError', () => {
+  const schemaDefinition = `
+    type Query {
+      viewer: User
+    }
+
+    type User {
+      name: String
+      friends: [User]
+    }
+  `;
+
+  const mocks = {
+    User: {
+      name: () => 'User.name'
+    }
+  };
+
+  const query = `
+    query test {
+      viewer {
+        name
+      }
+    }
+  `;
+
+  it('Returns a GraphQL error with extensions from mockOverride', () => {
+    const server = mockServer(schemaDefinition, mocks);
+
+    const result = server(
+      query,
+      {},
+      {
+        viewer: {
+          name: mockError({
+            message: 'Not authenticated.',
+            extensions: { code: 'UNAUTHENTICATED' }
+          })
+        }
+      }
+    );
+
+    expect(result.data).toEqual({ viewer: { name: null } });
+    expect(result.errors && result.errors[0]).toBeInstanceOf(GraphQLError);
+    expect(JSON.parse(JSON.stringify(result.errors))).toEqual([
+      {
+        message: 'Not authenticated.',
+        locations: [{ line: 4, column: 9 }],
+        path: ['viewer', 'name'],
+        extensions: { code: 'UNAUTHENTICATED' }
+      }
+    ]);
+  });
+
+  it('Returns a GraphQL error for object fields', () => {
+    const server = mockServer(schemaDefinition, mocks);
+
+    const result = server(
+      query,
+      {},
+      {
+        viewer: mockError({
+          message: 'Not found.',
+          extensions: { code: 'NOT_FOUND' }
+        })
+      }
+    );
+
+    expect(result.data).toEqual({ viewer: null });
+    expect(JSON.parse(JSON.stringify(result.errors))).toEqual([
+      {
+        message: 'Not found.',
+        locations: [{ line: 3, column: 7 }],
+        path: ['viewer'],
+        extensions: { code: 'NOT_FOUND' }
+      }
+    ]);
+  });
+
+  it('Returns a GraphQL error from base mocks', async () => {
+    const server = mockServerAsync(schemaDefinition, {
+      User: {
+        name: () =>
+          mockError({
+            message: 'Too many requests.',
+            extensions: { code: 'RATE_LIMITED' }
+          })
+      }
+    });
+
+    const result = await server(query);
+
+    expect(result.errors && result.errors[0].extensions).toEqual({
+      code: 'RATE_LIMITED'
+    });
+    expect(result.errors && result.errors[0].path).toEqual(['viewer', 'name']);
+  });
+
+  it('Replaces the path of the error', () => {
+    const server = mockServer(schemaDefinition, mocks);
+
+    const result = server(
+      `
+      query test {
+        viewer {
+          friends {
+            name
+          }
+        }
+      }
+    `,
+      {},
+      {
+        viewer: {
+          friends: [
+            {},
+            mockError({
+              message: 'Not found.',
+              path: ['viewer', 'friends', 'user:2']
+            })
+          ]
+        }
+      }
+    );
+
+    expect(result.data).toEqual({
+      viewer: { friends: [{ name: 'User.name' }, null] }
+    });
+    expect(result.errors && result.errors[0].path).toEqual([
+      'viewer',
+      'friends',
+      'user:2'
+    ]);
+    expect(result.errors && result.errors[0].locations).toEqual([
+      { line: 4, column: 11 }
+    ]);
+  });
+});
+
+describe('Request-level outcomes', () => {
+  const schemaDefinition = `
+    type Query {
+      viewer: User
+    }
+
+    type User {
+      name: String
+    }
+  `;
+
+  const query = `
+    query test {
+      viewer {
+        name
+      }
+    }
+  `;
+
+  it('Returns errors with null data', () => {
+    const server = mockServer(schemaDefinition);
+
+    const result = server(
+      query,
+      {},
+      {},
+      {
+        errors: [
+          Error('Internal server error.'),
+          mockError({
+            message: 'Not authenticated.',
+            extensions: { code: 'UNAUTHENTICATED' }
+          })
+        ]
+      }
+    );
+
+    expect(result.data).toBeNull();
+    expect(result.errors && result.errors[0]).toBeInstanceOf(GraphQLError);
+    expect(JSON.parse(JSON.stringify(result.errors))).toEqual([
+      { message: 'Internal server error.' },
+      {
+        message: 'Not authenticated.',
+        extensions: { code: 'UNAUTHENTICATED' }
+      }
+    ]);
+  });
+
+  it('Throws network errors', async () => {
+    const networkError = Error('Network error.');
+
+    expect(() =>
+      mockServer(schemaDefinition)(query, {}, {}, { networkError })
+    ).toThrow(networkError);
+    await expect(
+      mockServerAsync(schemaDefinition)(query, {}, {}, { networkError })
+    ).rejects.toBe(networkError);
+  });
+
+  it('Returns the response as is', async () => {
+    const response = { data: { viewer: 'malformed' } };
+
+    expect(mockServer(schemaDefinition)(query, {}, {}, { response })).toBe(
+      response
+    );
+    expect(
+      await mockServerAsync(schemaDefinition)(query, {}, {}, { response })
+    ).toBe(response);
+  });
+
+  it('Throws an error if several outcomes are set', () => {
+    expect.assertions(1);
+    try {
+      mockServer(schemaDefinition)(
+        query,
+        {},
+        {},
+        {
+          errors: [Error('Error.')],
+          response: {}
+        }
+      );
+    } catch (error) {
+      expect(error.message).toBe(
+        'Only one of callOptions.errors, callOptions.networkError ' +
+          'and callOptions.response can be set.'
+      );
+    }
+  });
+
+  it('Throws an error if errors is not an array of errors', () => {
+    expect.assertions(1);
+    try {
+      // $FlowFixMe
+      mockServer(schemaDefinition)(query, {}, {}, { errors: ['Error.'] });
+    } catch (error) {
+      expect(error.message).toBe(
+        'callOptions.errors must be a non-empty array of errors.'
+      );
+    }
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * @flow
+ * @jest-environment node
+ */
+import http from 'http';
+import { createMockHttpServer, MOCK_OVERRIDE_HEADER } from '../http';
+import { mockServer, mockServerAsync } from '../index';
+
+describe('createMockHttpServer', () => {
+  const schemaDefinition = `
+    schema {
+      query: Query
+    }
+
+    type Query {
+      viewer: User
+      user(id: ID!): User
+    }
+
+    type User {
+      id: ID
+      name: String
+    }
+  `;
+
+  const mocks = {
+    Query: {
+      user: ({ id }) => ({ id })
+    },
+    User: {
+      name: () => 'User.name'
+    }
+  };
+
+  const query = `
+    query ViewerQuery {
+      viewer {
+        name
+      }
+    }
+
+    query UserQuery($id: ID!) {
+      user(id: $id) {
+        id
+        name
+      }
+    }
+  `;
+
+  let httpServer;
+
+  const startServer = (server, options) =>
+    new Promise(resolve => {
+      httpServer = createMockHttpServer(server, options);
+      httpServer.listen(0, 'localhost', resolve);
+    });
+
+  type RequestOptions = {
+    method?: string,
+    path?: string,
+    headers?: Object,
+    body?: mixed
+  };
+
+  const sendRequest = ({
+    method = 'POST',
+    path = '/graphql',
+    headers,
+    body
+  }: RequestOptions) =>
+    new Promise((resolve, reject) => {
+      const clientRequest = http.request(
+        {
+          host: 'localhost',
+          port: httpServer.address().port,
+          method,
+          path,
+          headers: { 'Content-Type': 'application/json', ...headers }
+        },
+        response => {
+          let responseBody = '';
+          response.setEncoding('utf8');
+          response.on('data', chunk => {
+            responseBody += chunk;
+          });
+          response.on('end', () =>
+            resolve({
+              statusCode: response.statusCode,
+              headers: response.headers,
+              body: responseBody
+            })
+          );
+        }
+      );
+      clientRequest.on('error', reject);
+      clientRequest.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+
+  const request = (options: RequestOptions) =>
+    sendRequest(options).then(({ statusCode, body }) => ({
+      statusCode,
+      body: JSON.parse(body)
+    }));
+
+  afterEach(
+    () =>
+      new Promise(resolve => {
+        httpServer.close(resolve);
+      })
+  );
+
+  it('Executes POST requests', async () => {
+    await startServer(mockServer(schemaDefinition, mocks));
+
+    const response = await request({
+      body: { query, variables: { id: '1' }, operationName: 'UserQuery' }
+    });
+
+    expect(response).toEqual({
+      statusCode: 200,
+      body: {
+        data: {
+          user: {
+            id: '1',
+            name: 'User.name'
+          }
+        }
+      }
+    });
+  });
+
+  it('Executes GET requests', async () => {
+    await startServer(mockServerAsync(schemaDefinition, mocks));
+
+    const response = await request({
+      method: 'GET',
+      path:
+        `/graphql?query=${encodeURIComponent(query)}` +
+        `&variables=${encodeURIComponent('{"id":"1"}')}` +
+        `&operationName=UserQuery`
+    });
+
+    expect(response).toEqual({
+      statusCode: 200,
+      body: {
+        data: {
+          user: {
+            id: '1',
+            name: 'User.name'
+          }
+        }
+      }
+    });
+  });
+
+  it('Reads mockOverride from the header', async () => {
+    await startServer(mockServer(schemaDefinition, mocks));
+
+    const response = await request({
+      headers: {
+        [MOCK_OVERRIDE_HEADER]: JSON.stringify({
+          viewer: { name: 'mockOverride' }
+        })
+      },
+      body: { query, operationName: 'ViewerQuery' }
+    });
+
+    expect(response.body).toEqual({
+      data: {
+        viewer: {
+          name: 'mockOverride'
+        }
+      }
+    });
+  });
+
+  it('Sets mockOverride for subsequent requests', async () => {
+    await startServer(mockServer(schemaDefinition, mocks));
+    const body = { query, operationName: 'ViewerQuery' };
+
+    await request({
+      path: '/mock-override',
+      body: { viewer: { name: 'mockOverride' } }
+    });
+    expect((await request({ body })).body).toEqual({
+      data: {
+        viewer: {
+          name: 'mockOverride'
+        }
+      }
+    });
+
+    await request({ method: 'DELETE', path: '/mock-override' });
+    expect((await request({ body })).body).toEqual({
+      data: {
+        viewer: {
+          name: 'User.name'
+        }
+      }
+    });
+  });
+
+  it('Returns a 500 for unexpected errors', async () => {
+    await startServer(
+      mockServer(schemaDefinition, {
+        User: {
+          name: () => ({})
+        }
+      })
+    );
+
+    const response = await request({
+      body: { query, operationName: 'ViewerQuery' }
+    });
+
+    expect(response).toEqual({
+      statusCode: 500,
+      body: {
+        errors: [
+          {
+            message:
+              "Base mock for 'User.name' returned an invalid value for path ''.\n" +
+              "Value '[object Object]' is incompatible with type 'String'."
+          }
+        ]
+      }
+    });
+  });
+
+  it('Returns a 400 for invalid requests', async () => {
+    await startServer(mockServer(schemaDefinition, mocks));
+
+    const response = await request({ body: '{' });
+    const otherResponse = await request({ body: {} });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.errors[0].message).toMatch(
+      'The request body is not valid JSON'
+    );
+    expect(otherResponse).toEqual({
+      statusCode: 400,
+      body: { errors: [{ message: 'Must provide a query string.' }] }
+    });
+  });
+
+  it('Allows cross-origin requests', async () => {
+    await startServer(mockServer(schemaDefinition, mocks));
+    const corsHeaders = {
+      'access-control-allow-origin': '*',
+      'access-control-allow-methods': 'GET, POST, DELETE, OPTIONS',
+      'access-control-allow-headers': 'Content-Type, x-mock-override'
+    };
+
+    const preflightResponse = await sendRequest({ method: 'OPTIONS' });
+    const response = await sendRequest({
+      body: { query, operationName: 'ViewerQuery' }
+    });
+    const errorResponse = await sendRequest({ body: {} });
+
+    expect(preflightResponse.statusCode).toBe(204);
+    expect(preflightResponse.body).toBe('');
+    expect(preflightResponse.headers).toMatchObject(corsHeaders);
+    expect(response.statusCode).toBe(200);
+    expect(response.headers).toMatchObject(corsHeaders);
+    expect(errorResponse.statusCode).toBe(400);
+    expect(errorResponse.headers).toMatchObject(corsHeaders);
+  });
+
+  it('Supports custom paths', async () => {
+    await startServer(mockServer(schemaDefinition, mocks), {
+      path: '/api',
+      mockOverridePath: '/api/mock-override'
+    });
+    const body = { query, operationName: 'ViewerQuery' };
+
+    await request({
+      path: '/api/mock-override',
+      body: { viewer: { name: 'mockOverride' } }
+    });
+
+    expect((await request({ path: '/api', body })).body).toEqual({
+      data: {
+        viewer: {
+          name: 'mockOverride'
+        }
+      }
+    });
+    expect(await request({ body })).toEqual({
+      statusCode: 404,
+      body: { errors: [{ message: 'Cannot POST /graphql.' }] }
+    });
+  });
+});
@@ -0,0 +1,289 @@
+// @flow
+import { mockServer, mockMutation } from '../index';
+
+describe('mutation', () => {
+  const schemaDefinition = `
+    schema {
+      query: Query
+      mutation: Mutation
+    }
+
+    type Query {
+      viewer: User
+    }
+
+    type Mutation {
+      updateUser(input: UpdateUserInput): UpdateUserPayload
+      createUser(input: CreateUserInput, clientMutationId: String): User
+      deleteUser(id: ID): Boolean
+    }
+
+    input UpdateUserInput {
+      id: ID!
+      name: String
+      address: AddressInput
+      tags: [String]
+      clientMutationId: String
+    }
+
+    input AddressInput {
+      city: String
+    }
+
+    input CreateUserInput {
+      name: String
+      age: Int
+    }
+
+    type UpdateUserPayload {
+      user: User
+      clientMutationId: String
+    }
+
+    type User {
+      id: ID!
+      name: String
+      age: String
+      address: Address
+      tags: [String]
+    }
+
+    type Address {
+      city: String
+      country: String
+    }
+  `;
+
+  const mocks = {
+    Mutation: {
+      updateUser: mockMutation({
+        payloadField: 'user',
+        ignoredFields: ['clientMutationId']
+      })
+    },
+    User: {
+      id: () => 'User.id',
+      name: () => 'User.name',
+      age: () => 'User.age'
+    },
+    Address: {
+      city: () => 'Address.city',
+      country: () => 'Address.country'
+    }
+  };
+
+  const mutation = `
+    mutation test($input: UpdateUserInput) {
+      updateUser(input: $input) {
+        user {
+          id
+          name
+          address {
+            city
+            country
+          }
+          tags
+        }
+      }
+    }
+  `;
+
+  it('Executes mutations', () => {
+    const server = mockServer(schemaDefinition, {
+      Mutation: {
+        deleteUser: ({ id }) => id === 'USER_ID'
+      }
+    });
+
+    const result = server(`
+      mutation test {
+        deleteUser(id: "USER_ID")
+      }
+    `);
+
+    expect(result).toEqual({
+      data: {
+        deleteUser: true
+      }
+    });
+  });
+
+  it('Echoes the input into the payload', () => {
+    const server = mockServer(schemaDefinition, mocks);
+
+    const result = server(mutation, {
+      input: {
+        id: 'USER_ID',
+        name: 'Oscar',
+        address: { city: 'New York' },
+        tags: ['tag1', 'tag2']
+      }
+    });
+
+    expect(result).toEqual({
+      data: {
+        updateUser: {
+          user: {
+            id: 'USER_ID',
+            name: 'Oscar',
+            address: {
+              city: 'New York',
+              country: 'Address.country'
+            },
+            tags: ['tag1', 'tag2']
+          }
+        }
+      }
+    });
+  });
+
+  it('Falls back to the other mocks for input values that are not set', () => {
+    const server = mockServer(schemaDefinition, mocks, null);
+
+    const result = server(
+      `
+      mutation test {
+        updateUser(input: {id: "USER_ID", name: null}) {
+          user {
+            id
+            name
+          }
+        }
+      }
+    `
+    );
+
+    expect(result).toEqual({
+      data: {
+        updateUser: {
+          user: {
+            id: 'USER_ID',
+            name: 'User.name'
+          }
+        }
+      }
+    });
+  });
+
+  it('Gives precedence to mockOverride', () => {
+    const server = mockServer(schemaDefinition, mocks);
+
+    const result = server(
+      mutation,
+      { input: { id: 'USER_ID', name: 'Oscar' } },
+      { updateUser: { user: { name: 'mockOverride.name' } } }
+    );
+
+    // $FlowFixMe
+    expect(result.data && result.data.updateUser.user.name).toBe(
+      'mockOverride.name'
+    );
+  });
+
+  it('Echoes the input into the payload root when payloadField is not set', () => {
+    const server = mockServer(schemaDefinition, {
+      Mutation: {
+        createUser: mockMutation({
+          ignoredFields: ['age']
+        })
+      }
+    });
+
+    const result = server(`
+      mutation test {
+        createUser(input: {name: "Oscar", age: 42}) {
+          name
+        }
+      }
+    `);
+
+    expect(result).toEqual({
+      data: {
+        createUser: {
+          name: 'Oscar'
+        }
+      }
+    });
+  });
+
+  describe('Input validation', () => {
+    it('Throws an error when the input argument does not exist', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, {
+          Mutation: {
+            updateUser: mockMutation({ inputArg: 'doesNotExist' })
+          }
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          "mockMutation for 'Mutation.updateUser' expects an argument named 'doesNotExist'."
+        );
+      }
+    });
+
+    it('Throws an error when the input argument is not an input object', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, {
+          Mutation: {
+            createUser: mockMutation({ inputArg: 'clientMutationId' })
+          }
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          "mockMutation for 'Mutation.createUser' expects argument 'clientMutationId' to be an input object."
+        );
+      }
+    });
+
+    it('Throws an error when the payload field does not exist', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, {
+          Mutation: {
+            updateUser: mockMutation({ payloadField: 'doesNotExist' })
+          }
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          "mockMutation for 'Mutation.updateUser' expects type 'UpdateUserPayload' " +
+            "to have a field named 'doesNotExist'."
+        );
+      }
+    });
+
+    it('Throws an error when an input field does not exist in the payload', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, {
+          Mutation: {
+            updateUser: mockMutation({ payloadField: 'user' })
+          }
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          "mockMutation for 'Mutation.updateUser' cannot echo input field 'input.clientMutationId'.\n" +
+            "Type 'User' does not have a field named 'clientMutationId'. " +
+            "Use 'ignoredFields' to skip it."
+        );
+      }
+    });
+
+    it('Throws an error when the type of an input field does not match the payload', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, {
+          Mutation: {
+            createUser: mockMutation()
+          }
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          "mockMutation for 'Mutation.createUser' cannot echo input field 'input.age'.\n" +
+            "Type 'Int' is incompatible with type 'String' of 'age'."
+        );
+      }
+    });
+  });
+});
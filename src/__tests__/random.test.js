@@ -82,4 +82,63 @@ describe('random', () => {
       expect(set.size).toBeGreaterThan(1);
     }
   });
+
+  describe('Seeded generator', () => {
+    const generateValues = () => [
+      random.getBoolean(),
+      random.getInt(-100, 100),
+      random.getFloat(-100, 100),
+      random.getUUID(),
+      random.getString()
+    ];
+
+    it('Generates the same values with the same seed', () => {
+      const values = random.withGenerator(
+        random.createRandomGenerator(42),
+        generateValues
+      );
+      const sameValues = random.withGenerator(
+        random.createRandomGenerator(42),
+        generateValues
+      );
+      const otherValues = random.withGenerator(
+        random.createRandomGenerator(43),
+        generateValues
+      );
+
+      expect(values).toEqual(sameValues);
+      expect(values).not.toEqual(otherValues);
+      expect(validate(values[3])).toBeTruthy();
+    });
+
+    it('Accepts string seeds', () => {
+      const values = random.withGenerator(
+        random.createRandomGenerator('seed'),
+        generateValues
+      );
+      const sameValues = random.withGenerator(
+        random.createRandomGenerator('seed'),
+        generateValues
+      );
+
+      expect(values).toEqual(sameValues);
+    });
+
+    it('Restores the previous generator', () => {
+      const generator = random.getGenerator();
+      random.withGenerator(random.createRandomGenerator(42), () => {
+        expect(random.getGenerator()).not.toBe(generator);
+      });
+      expect(random.getGenerator()).toBe(generator);
+    });
+
+    it('Generates values in [0, 1)', () => {
+      const generator = random.createRandomGenerator(42);
+      for (let i = 0; i < MAX_TRIES; i++) {
+        const value = generator();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+  });
 });
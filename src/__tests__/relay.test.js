@@ -1,5 +1,12 @@
 // TODO Re-enable flow
-import { automockRelay, mockConnection, mockList, mockServer } from '../index';
+import {
+  automockRelay,
+  createMockStore,
+  mockConnection,
+  mockList,
+  mockNode,
+  mockServer
+} from '../index';
 import _ from 'lodash';
 
 describe('relay', () => {
@@ -264,6 +271,165 @@ describe('relay', () => {
       });
     });
 
+    describe('Pagination', () => {
+      const mocks = {
+        Query: {
+          objectConnection: mockConnection({
+            maxSize: 5,
+            nodeMock: ({}, index) => ({ property: `Object.property.${index}` })
+          })
+        }
+      };
+
+      const query = `
+        query test($first: Int, $after: String, $last: Int, $before: String) {
+          objectConnection(
+            first: $first
+            after: $after
+            last: $last
+            before: $before
+          ) {
+            edges {
+              node {
+                property
+              }
+              cursor
+            }
+            pageInfo {
+              hasNextPage
+              hasPreviousPage
+              startCursor
+              endCursor
+            }
+          }
+        }
+      `;
+
+      const getPage = result => ({
+        properties: result.data.objectConnection.edges.map(
+          edge => edge.node.property
+        ),
+        pageInfo: result.data.objectConnection.pageInfo
+      });
+
+      it('Paginates forward with the after cursor', () => {
+        const server = mockServer(schemaDefinition, mocks);
+
+        const firstPage = getPage(server(query, { first: 2 }));
+        expect(firstPage).toEqual({
+          properties: ['Object.property.0', 'Object.property.1'],
+          pageInfo: {
+            hasNextPage: true,
+            hasPreviousPage: false,
+            startCursor: 'cursor_0',
+            endCursor: 'cursor_1'
+          }
+        });
+
+        const secondPage = getPage(
+          server(query, { first: 2, after: firstPage.pageInfo.endCursor })
+        );
+        expect(secondPage).toEqual({
+          properties: ['Object.property.2', 'Object.property.3'],
+          pageInfo: {
+            hasNextPage: true,
+            hasPreviousPage: true,
+            startCursor: 'cursor_2',
+            endCursor: 'cursor_3'
+          }
+        });
+
+        const lastPage = getPage(
+          server(query, { first: 2, after: secondPage.pageInfo.endCursor })
+        );
+        expect(lastPage).toEqual({
+          properties: ['Object.property.4'],
+          pageInfo: {
+            hasNextPage: false,
+            hasPreviousPage: true,
+            startCursor: 'cursor_4',
+            endCursor: 'cursor_4'
+          }
+        });
+      });
+
+      it('Paginates backward with the before cursor', () => {
+        const server = mockServer(schemaDefinition, mocks);
+
+        const lastPage = getPage(server(query, { last: 2 }));
+        expect(lastPage).toEqual({
+          properties: ['Object.property.3', 'Object.property.4'],
+          pageInfo: {
+            hasNextPage: false,
+            hasPreviousPage: true,
+            startCursor: 'cursor_3',
+            endCursor: 'cursor_4'
+          }
+        });
+
+        const previousPage = getPage(
+          server(query, { last: 2, before: lastPage.pageInfo.startCursor })
+        );
+        expect(previousPage).toEqual({
+          properties: ['Object.property.1', 'Object.property.2'],
+          pageInfo: {
+            hasNextPage: true,
+            hasPreviousPage: true,
+            startCursor: 'cursor_1',
+            endCursor: 'cursor_2'
+          }
+        });
+
+        const firstPage = getPage(
+          server(query, { last: 2, before: previousPage.pageInfo.startCursor })
+        );
+        expect(firstPage).toEqual({
+          properties: ['Object.property.0'],
+          pageInfo: {
+            hasNextPage: true,
+            hasPreviousPage: false,
+            startCursor: 'cursor_0',
+            endCursor: 'cursor_0'
+          }
+        });
+      });
+
+      it('Paginates forward an unbounded collection', () => {
+        const server = mockServer(schemaDefinition, {
+          Query: {
+            objectConnection: mockConnection({
+              nodeMock: ({}, index) => ({
+                property: `Object.property.${index}`
+              })
+            })
+          }
+        });
+
+        expect(
+          getPage(server(query, { first: 1, after: 'cursor_99' }))
+        ).toEqual({
+          properties: ['Object.property.100'],
+          pageInfo: {
+            hasNextPage: true,
+            hasPreviousPage: true,
+            startCursor: 'cursor_100',
+            endCursor: 'cursor_100'
+          }
+        });
+      });
+
+      it('Returns an error for invalid cursors', () => {
+        const server = mockServer(schemaDefinition, mocks);
+
+        const result = server(query, { first: 1, after: 'invalid' });
+
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors && result.errors[0].message).toEqual(
+          "Invalid cursor 'invalid'."
+        );
+      });
+    });
+
     it('Can be overriden by itself in `mockOverride` object', () => {
       const mocks = {
         Object: {
@@ -445,4 +611,257 @@ describe('relay', () => {
       expect(connection.pageInfo.endCursor).toBe('cursor_0');
     });
   });
+  describe('strictRelay option', () => {
+    it('Accepts the schemas that comply with the spec', () => {
+      const server = mockServer(schemaDefinition, {}, undefined, {
+        strictRelay: true
+      });
+
+      expect(
+        server(`{ objectConnection(first: 1) { edges { cursor } } }`).errors
+      ).toBeUndefined();
+    });
+
+    it('Throws an error listing the non-compliant types', () => {
+      expect.assertions(1);
+      try {
+        mockServer(
+          `
+          type Query {
+            objectConnection(first: String): ObjectConnection
+            otherConnection: OtherConnection
+          }
+
+          type ObjectConnection {
+            pageInfo: PageInfo
+            edges: [ObjectEdge]
+          }
+
+          type ObjectEdge {
+            node: [Object]
+            cursor: String
+          }
+
+          type OtherConnection {
+            edges: [Object]
+          }
+
+          type Object {
+            property: String
+          }
+
+          type PageInfo {
+            hasNextPage: Boolean
+            startCursor: String
+            endCursor: String
+          }
+        `,
+          {},
+          undefined,
+          { strictRelay: true }
+        );
+      } catch (error) {
+        expect(error.message).toBe(
+          'The schema does not comply with the Relay Cursor Connections spec:\n' +
+            "- 'Query.objectConnection' must have the arguments 'first' and 'after', or 'last' and 'before'.\n" +
+            "- 'Query.objectConnection(first:)' must be of type 'Int', got 'String'.\n" +
+            "- 'ObjectConnection.pageInfo' must be of type 'PageInfo!', got 'PageInfo'.\n" +
+            "- 'OtherConnection.edges' must be a list of edge types, got '[Object]'.\n" +
+            "- 'OtherConnection' must have a field 'pageInfo'.\n" +
+            "- 'ObjectEdge.node' must not be a list, got '[Object]'.\n" +
+            "- 'ObjectEdge.cursor' must be a non-null scalar, got 'String'.\n" +
+            "- 'PageInfo.hasNextPage' must be of type 'Boolean!', got 'Boolean'.\n" +
+            "- 'PageInfo' must have a field 'hasPreviousPage'."
+        );
+      }
+    });
+  });
+
+  describe('mockNode', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+      }
+
+      type Query {
+        viewer: User
+        node(id: ID!): Node
+        nodes(ids: [ID!]!): [Node]!
+      }
+
+      interface Node {
+        id: ID!
+      }
+
+      type User implements Node {
+        id: ID!
+        name: String
+      }
+
+      type Post implements Node {
+        id: ID!
+        title: String
+      }
+    `;
+
+    const toGlobalId = (typename, id) =>
+      Buffer.from(`${typename}:${id}`).toString('base64');
+
+    const mocks = {
+      User: {
+        name: () => 'User.name'
+      },
+      Post: {
+        title: () => 'Post.title'
+      }
+    };
+
+    const nodeQuery = `
+      query test($id: ID!) {
+        node(id: $id) {
+          id
+          ... on User {
+            name
+          }
+          ... on Post {
+            title
+          }
+        }
+      }
+    `;
+
+    it('Returns the node with the requested id', () => {
+      const server = mockServer(schemaDefinition, mocks);
+
+      expect(server(nodeQuery, { id: toGlobalId('Post', '1') })).toEqual({
+        data: {
+          node: {
+            id: toGlobalId('Post', '1'),
+            title: 'Post.title'
+          }
+        }
+      });
+    });
+
+    it('Returns the nodes with the requested ids', () => {
+      const server = mockServer(schemaDefinition, mocks);
+      const ids = [toGlobalId('User', '1'), toGlobalId('Post', '2')];
+
+      const result = server(
+        `
+        query test($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            id
+            ... on User {
+              name
+            }
+            ... on Post {
+              title
+            }
+          }
+        }
+      `,
+        { ids }
+      );
+
+      expect(result).toEqual({
+        data: {
+          nodes: [
+            { id: ids[0], name: 'User.name' },
+            { id: ids[1], title: 'Post.title' }
+          ]
+        }
+      });
+    });
+
+    it('Returns the same node as the one refetched', () => {
+      const store = createMockStore();
+      const server = mockServer(
+        schemaDefinition,
+        {
+          Query: {
+            viewer: () => ({ id: toGlobalId('User', 'viewer') })
+          }
+        },
+        undefined,
+        { store }
+      );
+
+      const result = server(`{ viewer { id name } }`);
+      // $FlowFixMe
+      const { viewer } = result.data;
+
+      expect(server(nodeQuery, { id: viewer.id })).toEqual({
+        data: { node: viewer }
+      });
+    });
+
+    it('Mocks the node field of any query root type', () => {
+      const server = mockServer(
+        schemaDefinition.replace(/\bQuery\b/g, 'RootQuery'),
+        mocks
+      );
+
+      expect(server(nodeQuery, { id: toGlobalId('Post', '1') })).toEqual({
+        data: {
+          node: {
+            id: toGlobalId('Post', '1'),
+            title: 'Post.title'
+          }
+        }
+      });
+    });
+
+    it('Supports custom id encodings', () => {
+      const server = mockServer(schemaDefinition, {
+        ...mocks,
+        Query: {
+          node: mockNode({ getTypename: id => id.split('/')[0] })
+        }
+      });
+
+      expect(server(nodeQuery, { id: 'User/1' })).toEqual({
+        data: {
+          node: {
+            id: 'User/1',
+            name: 'User.name'
+          }
+        }
+      });
+    });
+
+    it('Can be overriden by __typename in `mockOverride`', () => {
+      const server = mockServer(schemaDefinition, mocks);
+
+      const result = server(
+        nodeQuery,
+        { id: 'not a global id' },
+        { node: { __typename: 'User' } }
+      );
+
+      expect(result).toEqual({
+        data: {
+          node: {
+            id: 'not a global id',
+            name: 'User.name'
+          }
+        }
+      });
+    });
+
+    it('Throws an error if the decoded type is not a node', () => {
+      expect.assertions(1);
+      const server = mockServer(schemaDefinition, mocks);
+
+      try {
+        server(nodeQuery, { id: toGlobalId('Query', '1') });
+      } catch (error) {
+        expect(error.message).toBe(
+          "Base mock for 'Query.node' specified '__typename' 'Query' for " +
+            "path 'node', which is not a possible type of interface 'Node'.\n" +
+            "Possible types are: 'User', 'Post'."
+        );
+      }
+    });
+  });
 });
@@ -0,0 +1,202 @@
+// @flow
+import { createMockRelayEnvironment } from '../relayEnvironment';
+import { mockServer, mockServerAsync } from '../index';
+
+describe('createMockRelayEnvironment', () => {
+  const schemaDefinition = `
+    schema {
+      query: Query
+    }
+
+    type Query {
+      viewer: User
+    }
+
+    type User {
+      name: String
+    }
+  `;
+
+  const mocks = {
+    User: {
+      name: () => 'User.name'
+    }
+  };
+
+  const getRequest = name => ({
+    id: null,
+    name,
+    operationKind: 'query',
+    text: `
+      query ${name} {
+        viewer {
+          name
+        }
+      }
+    `,
+    metadata: {}
+  });
+
+  const fetch = (environment, name) =>
+    environment
+      .getNetwork()
+      .execute(getRequest(name), {}, {})
+      .toPromise();
+
+  it('Executes operations against the mocked server', () => {
+    const server = mockServer(schemaDefinition, mocks);
+    const { environment } = createMockRelayEnvironment(server);
+
+    return fetch(environment, 'ViewerQuery').then(result => {
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            name: 'User.name'
+          }
+        }
+      });
+    });
+  });
+
+  it('Supports mockOverride per operation name', () => {
+    const server = mockServer(schemaDefinition, mocks);
+    const { environment } = createMockRelayEnvironment(server, {
+      mockOverride: { viewer: { name: 'mockOverride' } },
+      operationMockOverrides: {
+        ViewerQuery: { viewer: { name: 'ViewerQuery' } }
+      }
+    });
+
+    return Promise.all([
+      fetch(environment, 'ViewerQuery'),
+      fetch(environment, 'OtherViewerQuery')
+    ]).then(([result, otherResult]) => {
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            name: 'ViewerQuery'
+          }
+        }
+      });
+      expect(otherResult).toEqual({
+        data: {
+          viewer: {
+            name: 'mockOverride'
+          }
+        }
+      });
+    });
+  });
+
+  it('Supports async mocked servers', () => {
+    const server = mockServerAsync(schemaDefinition, {
+      User: {
+        name: () => Promise.resolve('User.name')
+      }
+    });
+    const { environment } = createMockRelayEnvironment(server);
+
+    return fetch(environment, 'ViewerQuery').then(result => {
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            name: 'User.name'
+          }
+        }
+      });
+    });
+  });
+
+  it('Rejects operations that throw unexpected errors', () => {
+    expect.assertions(1);
+    const server = mockServer(schemaDefinition, {
+      User: {
+        name: () => ({})
+      }
+    });
+    const { environment } = createMockRelayEnvironment(server);
+
+    return fetch(environment, 'ViewerQuery').catch(error => {
+      expect(error.message).toBe(
+        "Base mock for 'User.name' returned an invalid value for path ''.\n" +
+          "Value '[object Object]' is incompatible with type 'String'."
+      );
+    });
+  });
+
+  describe('holdResponses option', () => {
+    it('Resolves pending operations manually', () => {
+      const server = mockServer(schemaDefinition, mocks);
+      const { environment, mock } = createMockRelayEnvironment(server, {
+        mockOverride: { viewer: { name: 'mockOverride' } },
+        holdResponses: true
+      });
+
+      const result = fetch(environment, 'ViewerQuery');
+      const otherResult = fetch(environment, 'OtherViewerQuery');
+      expect(mock.getPendingOperations()).toEqual([
+        'ViewerQuery',
+        'OtherViewerQuery'
+      ]);
+
+      mock.resolve('OtherViewerQuery');
+      mock.resolve('ViewerQuery', {
+        viewer: { name: 'ViewerQuery' }
+      });
+      expect(mock.getPendingOperations()).toEqual([]);
+
+      return Promise.all([result, otherResult]).then(
+        ([result, otherResult]) => {
+          expect(result).toEqual({
+            data: {
+              viewer: {
+                name: 'ViewerQuery'
+              }
+            }
+          });
+          expect(otherResult).toEqual({
+            data: {
+              viewer: {
+                name: 'mockOverride'
+              }
+            }
+          });
+        }
+      );
+    });
+
+    it('Rejects pending operations manually', () => {
+      expect.assertions(2);
+      const server = mockServer(schemaDefinition, mocks);
+      const { environment, mock } = createMockRelayEnvironment(server, {
+        holdResponses: true
+      });
+
+      const result = fetch(environment, 'ViewerQuery');
+      mock.reject('ViewerQuery', Error('Network error'));
+      expect(mock.getPendingOperations()).toEqual([]);
+
+      return result.catch(error => {
+        expect(error.message).toBe('Network error');
+      });
+    });
+
+    it('Throws an error if there is no pending operation with the name', () => {
+      expect.assertions(1);
+      const server = mockServer(schemaDefinition, mocks);
+      const { environment, mock } = createMockRelayEnvironment(server, {
+        holdResponses: true
+      });
+      fetch(environment, 'ViewerQuery');
+
+      try {
+        mock.resolve('OtherViewerQuery');
+      } catch (error) {
+        expect(error.message).toBe(
+          "There is no pending operation named 'OtherViewerQuery'.\n" +
+            "Pending operations are: 'ViewerQuery'."
+        );
+      }
+    });
+  });
+});
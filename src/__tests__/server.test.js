@@ -1,7 +1,14 @@
 // @flow
-import { getNullableType } from 'graphql';
+import {
+  buildSchema,
+  getNullableType,
+  GraphQLSchema,
+  graphqlSync,
+  introspectionFromSchema
+} from 'graphql';
+import { makeExecutableSchema } from 'graphql-tools';
 import _ from 'lodash';
-import { mockServer, mockList } from '../index';
+import { mockServer, mockServerAsync, mockList } from '../index';
 
 describe('server', () => {
   describe('Mock precedence rules', () => {
@@ -671,6 +678,221 @@ describe('server', () => {
     });
   });
 
+  describe('Type mocks', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+      }
+
+      type Query {
+        viewer: User
+        users: [User]
+        node: Node
+      }
+
+      interface Node {
+        id: ID
+      }
+
+      type User implements Node {
+        id: ID
+        firstName: String
+        lastName: String
+        fullName: String
+        parent: User
+      }
+    `;
+
+    let userCount;
+    const mocks = {
+      Query: {
+        users: mockList(2)
+      },
+      User: {
+        __self: () => {
+          userCount++;
+          return {
+            firstName: `First${userCount}`,
+            lastName: `Last${userCount}`,
+            fullName: `First${userCount} Last${userCount}`
+          };
+        },
+        id: () => 'User.id',
+        firstName: () => 'User.firstName',
+        lastName: () => 'User.lastName',
+        fullName: () => 'User.fullName'
+      }
+    };
+
+    beforeEach(() => {
+      userCount = 0;
+    });
+
+    it('Mocks related fields consistently', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const result = server(`
+        query test {
+          viewer {
+            id
+            firstName
+            lastName
+            fullName
+            parent {
+              fullName
+            }
+          }
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            id: 'User.id',
+            firstName: 'First1',
+            lastName: 'Last1',
+            fullName: 'First1 Last1',
+            parent: {
+              fullName: 'First2 Last2'
+            }
+          }
+        }
+      });
+    });
+
+    it('Applies to list items and abstract fields', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const result = server(
+        `
+        query test {
+          users {
+            fullName
+          }
+          node {
+            ... on User {
+              fullName
+            }
+          }
+        }
+      `
+      );
+
+      expect(result).toEqual({
+        data: {
+          users: [{ fullName: 'First1 Last1' }, { fullName: 'First2 Last2' }],
+          node: { fullName: 'First3 Last3' }
+        }
+      });
+    });
+
+    it('Has lower precedence than field mocks and mockOverride', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          ...mocks,
+          Query: {
+            viewer: () => ({
+              firstName: 'Query.viewer.firstName'
+            })
+          }
+        },
+        null
+      );
+
+      const result = server(
+        `
+        query test {
+          viewer {
+            firstName
+            lastName
+            fullName
+          }
+        }
+      `,
+        {},
+        {
+          viewer: {
+            lastName: 'mockOverride.viewer.lastName'
+          }
+        }
+      );
+
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            firstName: 'Query.viewer.firstName',
+            lastName: 'mockOverride.viewer.lastName',
+            fullName: 'First1 Last1'
+          }
+        }
+      });
+    });
+
+    it('Validates the values returned by a type mock', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          User: {
+            __self: () => ({
+              doesNotExist: 'User.doesNotExist'
+            })
+          }
+        },
+        null
+      );
+
+      expect.assertions(1);
+      try {
+        server(`
+          query test {
+            viewer {
+              firstName
+            }
+          }
+        `);
+      } catch (error) {
+        expect(error.message).toBe(
+          "Base mock for 'User.__self' returns a value " +
+            "for field path 'doesNotExist' that does not exist. " +
+            'Base mocks should return values only for valid fields.'
+        );
+      }
+    });
+
+    it('Throws an error when a type mock is defined on an interface', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, {
+          Node: {
+            __self: () => ({})
+          }
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          "mocks['Node']['__self'] is not allowed. " +
+            'Type mocks can only be defined on object types.'
+        );
+      }
+    });
+
+    it('Throws an error when a type mock is not a function', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, {
+          User: {
+            // $FlowFixMe This error is expected
+            __self: {}
+          }
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          'mocks should be an object of object of functions.'
+        );
+      }
+    });
+  });
+
   describe('Input validation', () => {
     const schemaDefinition = `
       schema {
@@ -1212,6 +1434,99 @@ describe('server', () => {
         }
       });
     });
+
+    describe('mockOverride values', () => {
+      const mocks = {
+        Object: {
+          property: () => 'Object.property'
+        }
+      };
+
+      const getErrorMessage = (query, mockOverride) => {
+        const server = mockServer(schemaDefinition, mocks);
+        try {
+          server(query, {}, mockOverride);
+        } catch (error) {
+          return error.message;
+        }
+      };
+
+      it('Throws an error when a leaf value is invalid', () => {
+        expect(getErrorMessage(`{ scalar }`, { scalar: 'abc' })).toBe(
+          "mockOverride has an invalid value for path 'scalar'.\n" +
+            "Value 'abc' is incompatible with type 'Int'."
+        );
+      });
+
+      it('Throws an error when an object value is invalid', () => {
+        expect(getErrorMessage(`{ object { property } }`, { object: 42 })).toBe(
+          "mockOverride has an invalid value for path 'object'.\n" +
+            "Value '42' is incompatible with type 'Object'."
+        );
+      });
+
+      it('Throws an error when a list value is invalid', () => {
+        expect(
+          getErrorMessage(`{ listOfObjects { property } }`, {
+            listOfObjects: { property: 'value' }
+          })
+        ).toBe(
+          "mockOverride has an invalid value for path 'listOfObjects'.\n" +
+            'Value \'{"property":"value"}\' is incompatible with type \'[Object]\'.'
+        );
+      });
+
+      it('Throws an error when a list item is invalid', () => {
+        expect(
+          getErrorMessage(`{ listOfScalars }`, { listOfScalars: [1, 'abc'] })
+        ).toBe(
+          "mockOverride has an invalid value for path 'listOfScalars.1'.\n" +
+            "Value 'abc' is incompatible with type 'Int'."
+        );
+      });
+
+      it('Throws an error when a field does not exist', () => {
+        expect(
+          getErrorMessage(`{ interface { property } }`, {
+            interface: { __typename: 'Object', unknown: 'value' }
+          })
+        ).toBe(
+          "mockOverride has a value for path 'interface.unknown' " +
+            "that is not a field of type 'Interface'."
+        );
+      });
+
+      it('Throws an error when a root field does not exist', () => {
+        expect(
+          getErrorMessage(`{ object { property } }`, {
+            objcet: { property: 'value' }
+          })
+        ).toBe(
+          "mockOverride has a value for path 'objcet' " +
+            "that is not a field of type 'Query'."
+        );
+      });
+
+      it('Accepts values for aliases', () => {
+        const server = mockServer(schemaDefinition, mocks);
+
+        const result = server(
+          `{ object { ...fragment } }
+          fragment fragment on Object { alias: property }`,
+          {},
+          { object: { alias: 'alias' } }
+        );
+
+        expect(result).toEqual({ data: { object: { alias: 'alias' } } });
+        expect(
+          server(
+            `{ rootAlias: object { property } }`,
+            {},
+            { rootAlias: { property: 'rootAlias' } }
+          )
+        ).toEqual({ data: { rootAlias: { property: 'rootAlias' } } });
+      });
+    });
   });
 
   describe('Interface', () => {
@@ -1471,176 +1786,1924 @@ describe('server', () => {
         );
       }
     });
+    it('Resolves the type returned by the base mock of the interface', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          ObjectInterface4: {
+            __typename: () => 'Object2'
+          },
+          Object2: {
+            scalar: () => 'Object2.scalar'
+          }
+        },
+        null
+      );
+
+      const result = server(`
+        query test {
+          interface {
+            scalar
+          }
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          interface: {
+            scalar: 'Object2.scalar'
+          }
+        }
+      });
+    });
+
+    it('Throws an error if the queryMock for an interface field specifies a type that does not implement it', () => {
+      const server = mockServer(schemaDefinition, {}, null);
+
+      expect.assertions(1);
+      try {
+        server(
+          `
+          query test {
+            interface {
+              scalar
+            }
+          }`,
+          {},
+          {
+            interface: { __typename: 'Object' }
+          }
+        );
+      } catch (error) {
+        expect(error.message).toBe(
+          "mockOverride specified '__typename' 'Object' for path 'interface', " +
+            "which is not a possible type of interface 'ObjectInterface4'.\n" +
+            "Possible types are: 'Object1', 'Object2'."
+        );
+      }
+    });
   });
 
-  describe('Custom scalars', () => {
+  describe('Union', () => {
     const schemaDefinition = `
       schema {
         query: Query
       }
 
       type Query {
-        customScalar: CustomScalar
-        property(customScalar: CustomScalar): CustomScalar
+        union: Union
+        listOfUnions: [Union]
+        object: Object1
+      }
+
+      union Union = Object1 | Object2
+
+      type Object1 {
+        scalar: String
+      }
+
+      type Object2 {
+        scalar: String
+        otherScalar: String
       }
-    
-      scalar CustomScalar
     `;
 
-    it('Is possible to pass and return any type', () => {
-      const mocks = {
-        Query: {
-          customScalar: () => 'Query.customScalar'
-        }
-      };
+    const mocks = {
+      Object1: {
+        scalar: () => 'Object1.scalar'
+      },
+      Object2: {
+        scalar: () => 'Object2.scalar',
+        otherScalar: () => 'Object2.otherScalar'
+      }
+    };
 
+    it('Resolves the type specified in mockOverride', () => {
       const server = mockServer(schemaDefinition, mocks, null);
 
-      const mockOverride = {
-        bool: true,
-        float: 0.1,
-        id: 'ID',
-        int: 1,
-        list: [true, 1, 'string'],
-        object: {
-          key: 'value'
-        },
-        string: 'string'
-      };
-
       const result = server(
         `
         query test {
-          customScalar
-          bool: customScalar
-          float: customScalar
-          id: customScalar 
-          int: customScalar
-          list: customScalar
-          object: customScalar
-          string: customScalar
+          union1: union {
+            ... on Object1 {
+              scalar
+            }
+          }
+          union2: union {
+            ... on Object2 {
+              scalar
+              otherScalar
+            }
+          }
         }
       `,
         {},
-        mockOverride
+        {
+          union1: {
+            __typename: 'Object1'
+          },
+          union2: {
+            __typename: 'Object2',
+            otherScalar: 'mockOverride.union2.otherScalar'
+          }
+        }
       );
 
       expect(result).toEqual({
         data: {
-          customScalar: 'Query.customScalar',
-          ...mockOverride
+          union1: {
+            scalar: 'Object1.scalar'
+          },
+          union2: {
+            scalar: 'Object2.scalar',
+            otherScalar: 'mockOverride.union2.otherScalar'
+          }
         }
       });
     });
 
-    it('Is possible to pass in any type in the query string', () => {
-      const mocks = {
+    it('Resolves the type of list items specified in mockOverride', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          ...mocks,
+          Query: {
+            listOfUnions: mockList(2)
+          }
+        },
+        null
+      );
+
+      const result = server(
+        `
+        query test {
+          listOfUnions {
+            __typename
+            ... on Object1 {
+              scalar
+            }
+            ... on Object2 {
+              otherScalar
+            }
+          }
+        }
+      `,
+        {},
+        {
+          listOfUnions: [{ __typename: 'Object2' }, { __typename: 'Object1' }]
+        }
+      );
+
+      expect(result).toEqual({
+        data: {
+          listOfUnions: [
+            { __typename: 'Object2', otherScalar: 'Object2.otherScalar' },
+            { __typename: 'Object1', scalar: 'Object1.scalar' }
+          ]
+        }
+      });
+    });
+
+    it('Resolves the type returned by the base mock of the union', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          ...mocks,
+          Union: {
+            __typename: () => 'Object2'
+          }
+        },
+        null
+      );
+
+      const result = server(`
+        query test {
+          union {
+            __typename
+          }
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          union: {
+            __typename: 'Object2'
+          }
+        }
+      });
+    });
+
+    it('Gives precedence to mockOverride over the base mock of the union', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          ...mocks,
+          Union: {
+            __typename: () => 'Object2'
+          }
+        },
+        null
+      );
+
+      const result = server(
+        `
+        query test {
+          union {
+            __typename
+          }
+        }
+      `,
+        {},
+        {
+          union: { __typename: 'Object1' }
+        }
+      );
+
+      expect(result).toEqual({
+        data: {
+          union: {
+            __typename: 'Object1'
+          }
+        }
+      });
+    });
+
+    it('Throws an error if the queryMock for a union field does not specify the type', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      expect.assertions(1);
+      try {
+        server(`
+          query test {
+            union {
+              __typename
+            }
+          }`);
+      } catch (error) {
+        expect(error.message).toBe(
+          'queryMock must specify type for union fields.'
+        );
+      }
+    });
+
+    it('Throws an error if mockOverride specifies a type that is not part of the union', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      expect.assertions(1);
+      try {
+        server(
+          `
+          query test {
+            union {
+              __typename
+            }
+          }`,
+          {},
+          {
+            union: { __typename: 'Query' }
+          }
+        );
+      } catch (error) {
+        expect(error.message).toBe(
+          "mockOverride specified '__typename' 'Query' for path 'union', " +
+            "which is not a possible type of union 'Union'.\n" +
+            "Possible types are: 'Object1', 'Object2'."
+        );
+      }
+    });
+
+    it('Throws an error if the base mock of the union returns a type that does not exist', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          ...mocks,
+          Union: {
+            __typename: () => 'DoesNotExist'
+          }
+        },
+        null
+      );
+
+      expect.assertions(1);
+      try {
+        server(`
+          query test {
+            union {
+              __typename
+            }
+          }`);
+      } catch (error) {
+        expect(error.message).toBe(
+          "Base mock for 'Union.__typename' specified '__typename' " +
+            "'DoesNotExist' for path 'union', " +
+            "which is not a possible type of union 'Union'.\n" +
+            "Possible types are: 'Object1', 'Object2'."
+        );
+      }
+    });
+
+    it('Throws an error when there is a mock for a union field other than __typename', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, {
+          Union: {
+            scalar: () => 'Union.scalar'
+          }
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          "mocks['Union']['scalar'] is not allowed. " +
+            "Union mocks can only define '__typename'."
+        );
+      }
+    });
+  });
+
+  describe('Type inference from fragments', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+      }
+
+      type Query {
+        node: Node
+        search: [SearchResult]
+      }
+
+      interface Node {
+        id: ID
+      }
+
+      union SearchResult = User | Address
+
+      type User implements Node {
+        id: ID
+        name: String
+      }
+
+      type Address implements Node {
+        id: ID
+        address: String
+      }
+    `;
+
+    const mocks = {
+      Query: {
+        search: mockList(1)
+      },
+      User: {
+        id: () => 'User.id',
+        name: () => 'User.name'
+      },
+      Address: {
+        id: () => 'Address.id',
+        address: () => 'Address.address'
+      }
+    };
+
+    it('Picks the type of the only inline fragment', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const result = server(`
+        query test {
+          node {
+            id
+            ... on User {
+              name
+            }
+          }
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          node: {
+            id: 'User.id',
+            name: 'User.name'
+          }
+        }
+      });
+    });
+
+    it('Picks the type of the only named fragment', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const result = server(`
+        query test {
+          search {
+            ...AddressFragment
+          }
+        }
+
+        fragment AddressFragment on Address {
+          address
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          search: [
+            {
+              address: 'Address.address'
+            }
+          ]
+        }
+      });
+    });
+
+    it('Looks for fragments nested in fragments on abstract types', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const result = server(`
+        query test {
+          search {
+            ...NodeFragment
+          }
+        }
+
+        fragment NodeFragment on Node {
+          id
+          ... on User {
+            name
+          }
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          search: [
+            {
+              id: 'User.id',
+              name: 'User.name'
+            }
+          ]
+        }
+      });
+    });
+
+    it('Gives precedence to __typename in mockOverride', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const result = server(
+        `
+        query test {
+          node {
+            __typename
+            ... on User {
+              name
+            }
+          }
+        }
+      `,
+        {},
+        { node: { __typename: 'Address' } }
+      );
+
+      expect(result).toEqual({
+        data: {
+          node: {
+            __typename: 'Address'
+          }
+        }
+      });
+    });
+
+    it('Throws an error when the query selects fragments on more than one type', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      expect.assertions(1);
+      try {
+        server(`
+          query test {
+            search {
+              ... on User {
+                name
+              }
+              ...AddressFragment
+            }
+          }
+
+          fragment AddressFragment on Address {
+            address
+          }
+        `);
+      } catch (error) {
+        expect(error.message).toBe(
+          "Could not infer the type of union 'SearchResult' for path 'search'.\n" +
+            "The query selects fragments on more than one possible type: 'User', 'Address'. " +
+            "Specify '__typename' in 'mockOverride' to pick one of them."
+        );
+      }
+    });
+  });
+
+  describe('resolveType option', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+      }
+
+      type Query {
+        interface: Interface
+        union: Union
+      }
+
+      interface Interface {
+        scalar: String
+      }
+
+      union Union = Object1 | Object2
+
+      type Object1 implements Interface {
+        scalar: String
+      }
+
+      type Object2 implements Interface {
+        scalar: String
+      }
+    `;
+
+    const mocks = {
+      Object1: {
+        scalar: () => 'Object1.scalar'
+      },
+      Object2: {
+        scalar: () => 'Object2.scalar'
+      }
+    };
+
+    const query = `
+      query test {
+        interface {
+          __typename
+        }
+        union {
+          __typename
+        }
+      }
+    `;
+
+    it('Picks the first possible type', () => {
+      const server = mockServer(schemaDefinition, mocks, null, {
+        resolveType: 'first'
+      });
+
+      expect(server(query)).toEqual({
+        data: {
+          interface: { __typename: 'Object1' },
+          union: { __typename: 'Object1' }
+        }
+      });
+    });
+
+    it('Picks a random possible type', () => {
+      const server = mockServer(schemaDefinition, mocks, null, {
+        resolveType: 'random'
+      });
+
+      const typeNames = new Set();
+      for (let i = 0; i < 100 && typeNames.size < 2; i++) {
+        // $FlowFixMe
+        typeNames.add(server(query).data.union.__typename);
+      }
+
+      expect(Array.from(typeNames).sort()).toEqual(['Object1', 'Object2']);
+    });
+
+    it('Picks the type of the inline fragment', () => {
+      const server = mockServer(schemaDefinition, mocks, null, {
+        resolveType: 'fragment'
+      });
+
+      const result = server(`
+        query test {
+          interface {
+            ... on Object2 {
+              scalar
+            }
+          }
+          union {
+            ... on Object2 {
+              scalar
+            }
+          }
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          interface: { scalar: 'Object2.scalar' },
+          union: { scalar: 'Object2.scalar' }
+        }
+      });
+    });
+
+    it('Throws an error when there is no fragment to pick the type from', () => {
+      const server = mockServer(schemaDefinition, mocks, null, {
+        resolveType: 'fragment'
+      });
+
+      expect.assertions(1);
+      try {
+        server(query);
+      } catch (error) {
+        expect(error.message).toBe(
+          "Could not infer the type of interface 'Interface' for path 'interface'.\n" +
+            'The query does not select a fragment on any of its possible types. ' +
+            "Specify '__typename' in 'mockOverride' instead."
+        );
+      }
+    });
+
+    it('Calls a custom function', () => {
+      const resolveType = jest.fn(() => 'Object2');
+      const server = mockServer(schemaDefinition, mocks, null, {
+        resolveType
+      });
+
+      expect(server(query)).toEqual({
+        data: {
+          interface: { __typename: 'Object2' },
+          union: { __typename: 'Object2' }
+        }
+      });
+      expect(resolveType.mock.calls.map(([type]) => type.name)).toEqual([
+        'Interface',
+        'Union'
+      ]);
+    });
+
+    it('Gives precedence to __typename in mockOverride', () => {
+      const server = mockServer(schemaDefinition, mocks, null, {
+        resolveType: 'first'
+      });
+
+      expect(server(query, {}, { union: { __typename: 'Object2' } })).toEqual({
+        data: {
+          interface: { __typename: 'Object1' },
+          union: { __typename: 'Object2' }
+        }
+      });
+    });
+
+    it('Validates the type returned by a custom function', () => {
+      const server = mockServer(schemaDefinition, mocks, null, {
+        resolveType: () => 'Query'
+      });
+
+      expect.assertions(1);
+      try {
+        server(query);
+      } catch (error) {
+        expect(error.message).toBe(
+          "options.resolveType specified '__typename' 'Query' for path 'interface', " +
+            "which is not a possible type of interface 'Interface'.\n" +
+            "Possible types are: 'Object1', 'Object2'."
+        );
+      }
+    });
+
+    it('Throws an error when the option is not valid', () => {
+      expect.assertions(1);
+      try {
+        // $FlowFixMe This error is expected
+        mockServer(schemaDefinition, mocks, null, { resolveType: 'last' });
+      } catch (error) {
+        expect(error.message).toBe(
+          "options.resolveType must be a function or one of 'random', 'first', 'fragment'."
+        );
+      }
+    });
+  });
+
+  describe('mockServerAsync', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+      }
+
+      type Query {
+        object: Object
+        listOfObjects: [Object]
+      }
+
+      type Object {
+        property: String
+        object: Object
+      }
+    `;
+
+    const delay = value =>
+      new Promise(resolve => setTimeout(() => resolve(value), 1));
+
+    it('Resolves promises returned by base mocks', () => {
+      const mocks = {
+        Query: {
+          object: () => delay({ object: { property: 'Query.object' } }),
+          listOfObjects: mockList(2, ({}, index) =>
+            delay({ property: `Query.listOfObjects.${index}` })
+          )
+        },
+        Object: {
+          __self: () => delay({}),
+          property: () => delay('Object.property')
+        }
+      };
+
+      const server = mockServerAsync(schemaDefinition, mocks, null);
+
+      return server(`
+        query test {
+          object {
+            property
+            object {
+              property
+            }
+          }
+          listOfObjects {
+            property
+          }
+        }
+      `).then(result => {
+        expect(result).toEqual({
+          data: {
+            object: {
+              property: 'Object.property',
+              object: {
+                property: 'Query.object'
+              }
+            },
+            listOfObjects: [
+              { property: 'Query.listOfObjects.0' },
+              { property: 'Query.listOfObjects.1' }
+            ]
+          }
+        });
+      });
+    });
+
+    it('Resolves promises returned by mockOverride functions', () => {
+      const mocks = {
+        Object: {
+          property: () => 'Object.property'
+        }
+      };
+
+      const server = mockServerAsync(schemaDefinition, mocks, null);
+
+      return server(
+        `
+        query test {
+          object {
+            property
+            object {
+              property
+            }
+          }
+        }
+      `,
+        {},
+        {
+          object: () =>
+            delay({
+              object: {
+                property: () => delay('mockOverride.object.object.property')
+              }
+            })
+        }
+      ).then(result => {
+        expect(result).toEqual({
+          data: {
+            object: {
+              property: 'Object.property',
+              object: {
+                property: 'mockOverride.object.object.property'
+              }
+            }
+          }
+        });
+      });
+    });
+
+    it('Returns an error payload when a promise resolves to an error', () => {
+      const mocks = {
+        Object: {
+          property: () => delay(Error('Object.property.Error'))
+        }
+      };
+
+      const server = mockServerAsync(schemaDefinition, mocks, null);
+
+      return server(`
+        query test {
+          object {
+            property
+          }
+        }
+      `).then(result => {
+        expect(result.data).toEqual({ object: { property: null } });
+        expect(result.errors && result.errors[0].message).toBe(
+          'Object.property.Error'
+        );
+      });
+    });
+
+    it('Validates the values resolved by base mocks', () => {
+      const mocks = {
+        Object: {
+          property: () => delay(null)
+        }
+      };
+
+      const server = mockServerAsync(schemaDefinition, mocks, null);
+
+      expect.assertions(1);
+      return server(`
+        query test {
+          object {
+            property
+          }
+        }
+      `).catch(error => {
+        expect(error.message).toBe(
+          "Base mock for 'Object.property' returned 'null' for path ''.\n" +
+            "Base mocks are not allowed to return 'null'. Use 'mockOverride' to specify 'null' values instead."
+        );
+      });
+    });
+
+    it('Throws a validation error when a base mock returns a rejected promise', () => {
+      const mocks = {
+        Object: {
+          property: () => Promise.reject(Error('Object.property.reject'))
+        }
+      };
+
+      const server = mockServerAsync(schemaDefinition, mocks, null);
+
+      expect.assertions(1);
+      return server(`
+        query test {
+          object {
+            property
+          }
+        }
+      `).catch(error => {
+        expect(error.message).toEqual(
+          expect.stringContaining(
+            "Base mock for 'Object.property' threw an error for path ''.\n" +
+              'Base mocks are not allowed to throw errors.'
+          )
+        );
+      });
+    });
+  });
+
+  describe('Subscription', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+        subscription: Subscription
+      }
+
+      type Query {
+        object: Object
+      }
+
+      type Subscription {
+        objectUpdated(id: ID): Object
+      }
+
+      type Object {
+        id: ID
+        property: String
+      }
+    `;
+
+    const mocks = {
+      Object: {
+        id: () => 'Object.id',
+        property: () => 'Object.property'
+      }
+    };
+
+    const subscription = `
+      subscription test {
+        objectUpdated(id: "ID") {
+          id
+          property
+        }
+      }
+    `;
+
+    it('Emits one payload per mockOverride object', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const iterator = server.subscribe(subscription, {}, [
+        { objectUpdated: { property: 'event1.property' } },
+        { objectUpdated: { property: 'event2.property' } }
+      ]);
+
+      return iterator
+        .next()
+        .then(event => {
+          expect(event).toEqual({
+            value: {
+              data: {
+                objectUpdated: { id: 'Object.id', property: 'event1.property' }
+              }
+            },
+            done: false
+          });
+          return iterator.next();
+        })
+        .then(event => {
+          expect(event).toEqual({
+            value: {
+              data: {
+                objectUpdated: { id: 'Object.id', property: 'event2.property' }
+              }
+            },
+            done: false
+          });
+          return iterator.next();
+        })
+        .then(event => {
+          expect(event).toEqual({ value: undefined, done: true });
+        });
+    });
+
+    it('Emits the number of requested payloads', () => {
+      const server = mockServerAsync(schemaDefinition, mocks, null);
+
+      const iterator = server.subscribe(subscription, {}, 2);
+      const payloads = [];
+      const collect = () =>
+        iterator.next().then(event => {
+          if (!event.done) {
+            payloads.push(event.value);
+            return collect();
+          }
+        });
+
+      return collect().then(() => {
+        expect(payloads).toEqual([
+          {
+            data: {
+              objectUpdated: { id: 'Object.id', property: 'Object.property' }
+            }
+          },
+          {
+            data: {
+              objectUpdated: { id: 'Object.id', property: 'Object.property' }
+            }
+          }
+        ]);
+      });
+    });
+
+    it('Stops emitting payloads when the iterator is closed', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const iterator = server.subscribe(subscription, {}, 2);
+      // $FlowFixMe Flow does not know Symbol.asyncIterator
+      expect(iterator[Symbol.asyncIterator]()).toBe(iterator);
+
+      return iterator
+        .return()
+        .then(() => iterator.next())
+        .then(event => {
+          expect(event).toEqual({ value: undefined, done: true });
+        });
+    });
+
+    it('Rejects when generating a payload throws a validation error', () => {
+      const server = mockServer(
+        schemaDefinition,
+        {
+          Object: {
+            id: () => 'Object.id',
+            property: () => null
+          }
+        },
+        null
+      );
+
+      const iterator = server.subscribe(subscription);
+
+      expect.assertions(1);
+      return iterator.next().catch(error => {
+        expect(error.message).toBe(
+          "Base mock for 'Object.property' returned 'null' for path ''.\n" +
+            "Base mocks are not allowed to return 'null'. Use 'mockOverride' to specify 'null' values instead."
+        );
+      });
+    });
+
+    it('Throws an error when the document is not a subscription', () => {
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      expect.assertions(1);
+      try {
+        server.subscribe(`
+          query test {
+            object {
+              id
+            }
+          }
+        `);
+      } catch (error) {
+        expect(error.message).toBe(
+          'subscribe() expects a document with a subscription operation.'
+        );
+      }
+    });
+  });
+
+  describe('Custom scalars', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+      }
+
+      type Query {
+        customScalar: CustomScalar
+        property(customScalar: CustomScalar): CustomScalar
+      }
+    
+      scalar CustomScalar
+    `;
+
+    it('Is possible to pass and return any type', () => {
+      const mocks = {
+        Query: {
+          customScalar: () => 'Query.customScalar'
+        }
+      };
+
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const mockOverride = {
+        bool: true,
+        float: 0.1,
+        id: 'ID',
+        int: 1,
+        list: [true, 1, 'string'],
+        object: {
+          key: 'value'
+        },
+        string: 'string'
+      };
+
+      const result = server(
+        `
+        query test {
+          customScalar
+          bool: customScalar
+          float: customScalar
+          id: customScalar 
+          int: customScalar
+          list: customScalar
+          object: customScalar
+          string: customScalar
+        }
+      `,
+        {},
+        mockOverride
+      );
+
+      expect(result).toEqual({
+        data: {
+          customScalar: 'Query.customScalar',
+          ...mockOverride
+        }
+      });
+    });
+
+    it('Is possible to pass in any type in the query string', () => {
+      const mocks = {
+        Query: {
+          property: ({ customScalar }) => customScalar
+        }
+      };
+
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const result = server(`
+        query test {
+          bool: property(customScalar: true)
+          float: property(customScalar: 0.1)
+          id: property(customScalar: "ID")
+          int: property(customScalar: 1)
+          list: property(customScalar: [true, 1, "string"])
+          object: property(customScalar: {key: "value"})
+          string: property(customScalar: "string")
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          bool: true,
+          float: 0.1,
+          id: 'ID',
+          int: 1,
+          list: [true, 1, 'string'],
+          object: {
+            key: 'value'
+          },
+          string: 'string'
+        }
+      });
+    });
+
+    it('Is possible to pass in any type as a variable', () => {
+      const mocks = {
         Query: {
           property: ({ customScalar }) => customScalar
         }
       };
 
-      const server = mockServer(schemaDefinition, mocks, null);
+      const server = mockServer(schemaDefinition, mocks, null);
+
+      const variables = {
+        bool: true,
+        float: 0.1,
+        id: 'ID',
+        int: 1,
+        list: [true, 1, 'string'],
+        object: {
+          key: 'value'
+        },
+        string: 'string'
+      };
+
+      const result = server(
+        `
+        query test (
+          $bool: CustomScalar
+          $float: CustomScalar
+          $id: CustomScalar
+          $int: CustomScalar
+          $list: CustomScalar
+          $object: CustomScalar
+          $string: CustomScalar
+        ) {
+          bool: property(customScalar: $bool)
+          float: property(customScalar: $float)
+          id: property(customScalar: $id)
+          int: property(customScalar: $int)
+          list: property(customScalar: $list)
+          object: property(customScalar: $object)
+          string: property(customScalar: $string)
+        }
+      `,
+        variables
+      );
+
+      expect(result).toEqual({
+        data: {
+          ...variables
+        }
+      });
+    });
+
+    it('Can be automatically mocked', () => {
+      function getCustomScalarMock(parentType, field) {
+        const nullableType = getNullableType(field.type);
+        if (nullableType.name === 'CustomScalar') {
+          return () => 'getCustomScalarMock';
+        }
+      }
+
+      const server = mockServer(schemaDefinition, {}, [getCustomScalarMock]);
+
+      const result = server(`
+        query test {
+          customScalar
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          customScalar: 'getCustomScalarMock'
+        }
+      });
+    });
+  });
+  describe('Schema definition', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+      }
+
+      type Query {
+        viewer: User
+        node: Node
+      }
+
+      interface Node {
+        id: ID
+      }
+
+      type User implements Node {
+        id: ID
+        name: String
+        friends: [User]
+      }
+    `;
+
+    const mocks = {
+      User: {
+        name: () => 'User.name'
+      }
+    };
+
+    const query = `
+      query test {
+        viewer {
+          name
+          friends {
+            name
+          }
+        }
+        node {
+          ... on User {
+            name
+          }
+        }
+      }
+    `;
+
+    const expectedResult = {
+      data: {
+        viewer: {
+          name: 'User.name',
+          friends: [{ name: 'User.name' }, { name: 'User.name' }]
+        },
+        node: {
+          name: 'User.name'
+        }
+      }
+    };
+
+    it('Accepts a GraphQLSchema', () => {
+      const server = mockServer(buildSchema(schemaDefinition), mocks);
+
+      expect(server(query)).toEqual(expectedResult);
+    });
+
+    it('Accepts an introspection result', () => {
+      const introspection = introspectionFromSchema(
+        buildSchema(schemaDefinition)
+      );
+
+      expect(mockServer(introspection, mocks)(query)).toEqual(expectedResult);
+      expect(mockServer({ data: introspection }, mocks)(query)).toEqual(
+        expectedResult
+      );
+    });
+
+    it('Does not mutate the GraphQLSchema', () => {
+      const schema = makeExecutableSchema({
+        typeDefs: schemaDefinition,
+        resolvers: {
+          Query: {
+            viewer: () => ({ name: 'resolver' })
+          },
+          Node: {
+            __resolveType: () => 'User'
+          }
+        }
+      });
+      const server = mockServer(schema, mocks);
+      const otherServer = mockServer(schema, {
+        User: {
+          name: () => 'Other User.name'
+        }
+      });
+
+      expect(server(query)).toEqual(expectedResult);
+      expect(otherServer(`{ viewer { name } }`)).toEqual({
+        data: {
+          viewer: {
+            name: 'Other User.name'
+          }
+        }
+      });
+      expect(graphqlSync(schema, `{ viewer { name } }`)).toEqual({
+        data: {
+          viewer: {
+            name: 'resolver'
+          }
+        }
+      });
+    });
+
+    it('Shares a schema between mocked servers', () => {
+      const schema = buildSchema(schemaDefinition);
+      const server = mockServer(schema, mocks);
+      const otherServer = mockServer(schema, {
+        User: {
+          name: () => 'Other User.name'
+        }
+      });
+
+      expect(server(query)).toEqual(expectedResult);
+      expect(otherServer(`{ viewer { name } }`)).toEqual({
+        data: {
+          viewer: {
+            name: 'Other User.name'
+          }
+        }
+      });
+      // $FlowFixMe
+      expect(schema.getQueryType().getFields().viewer.resolve).toBeUndefined();
+      // $FlowFixMe
+      expect(schema.getType('Node').resolveType).toBeUndefined();
+    });
+
+    it('Shares mocks between mocked servers', () => {
+      const sharedMocks = {
+        User: {
+          name: () => 'User.name'
+        }
+      };
+      const server = mockServer(schemaDefinition, sharedMocks);
+      const otherServer = mockServer(schemaDefinition, sharedMocks, null);
+
+      expect(Object.keys(sharedMocks.User)).toEqual(['name']);
+      expect(server(`{ viewer { id } }`).data).toBeDefined();
+      expect(() => otherServer(`{ viewer { id } }`)).toThrow(
+        "There is no base mock for 'User.id'"
+      );
+    });
+
+    it('Ignores the resolvers of the schema', () => {
+      const schema = makeExecutableSchema({
+        typeDefs: schemaDefinition,
+        resolvers: {
+          Node: {
+            __resolveType: () => null
+          },
+          User: {
+            __isTypeOf: () => false,
+            name: () => 'resolver'
+          }
+        }
+      });
+      const server = mockServer(schema, mocks);
+
+      expect(server(query)).toEqual(expectedResult);
+    });
+
+    it('Throws an error if the schema is invalid', () => {
+      expect.assertions(1);
+      try {
+        // $FlowFixMe
+        mockServer({ types: [] }, mocks);
+      } catch (error) {
+        expect(error.message).toBe(
+          'The schema must be a schema definition string, ' +
+            'a GraphQLSchema or an introspection result.'
+        );
+      }
+    });
+
+    it('Throws an error if graphql is older than 14.2.0', () => {
+      expect.assertions(1);
+      const { toConfig } = GraphQLSchema.prototype;
+      // $FlowFixMe Simulates graphql < 14.2.0
+      delete GraphQLSchema.prototype.toConfig;
+      try {
+        mockServer(schemaDefinition, mocks);
+      } catch (error) {
+        expect(error.message).toBe(
+          'graphql-mock-factory requires graphql 14.2.0 or later. ' +
+            'Please upgrade graphql.'
+        );
+      } finally {
+        // $FlowFixMe
+        GraphQLSchema.prototype.toConfig = toConfig;
+      }
+    });
+  });
+  describe('keepResolvers option', () => {
+    const schemaDefinition = `
+      schema {
+        query: Query
+      }
+
+      type Query {
+        viewer: User
+        node(id: ID!): Node
+        posts: [Post]
+      }
+
+      interface Node {
+        id: ID
+      }
+
+      type User implements Node {
+        id: ID
+        name: String
+        email: String
+        greeting: String
+        posts: [Post]
+      }
+
+      type Post implements Node {
+        id: ID
+        title: String
+      }
+    `;
+
+    const schema = makeExecutableSchema({
+      typeDefs: schemaDefinition,
+      resolvers: {
+        Query: {
+          viewer: (source, args, context) => ({
+            id: 'viewer',
+            name: context ? context.name : 'Query.viewer'
+          }),
+          node: (source, { id }) => ({ __typename: 'Post', id })
+        },
+        User: {
+          greeting: user => `Hello ${user.name}`,
+          posts: user => [{ id: `${user.id}.post` }]
+        }
+      },
+      resolverValidationOptions: {
+        requireResolversForResolveType: false
+      }
+    });
+
+    const mocks = {
+      User: {
+        email: () => 'User.email'
+      },
+      Post: {
+        title: () => 'Post.title'
+      }
+    };
+
+    it('Mocks the fields without resolvers', () => {
+      const server = mockServer(schema, mocks, undefined, {
+        keepResolvers: true
+      });
 
       const result = server(`
         query test {
-          bool: property(customScalar: true)
-          float: property(customScalar: 0.1)
-          id: property(customScalar: "ID")
-          int: property(customScalar: 1)
-          list: property(customScalar: [true, 1, "string"])
-          object: property(customScalar: {key: "value"})
-          string: property(customScalar: "string")
+          viewer {
+            id
+            name
+            email
+            posts {
+              id
+              title
+            }
+          }
+          node(id: "1") {
+            id
+            ... on Post {
+              title
+            }
+          }
         }
       `);
 
       expect(result).toEqual({
         data: {
-          bool: true,
-          float: 0.1,
-          id: 'ID',
-          int: 1,
-          list: [true, 1, 'string'],
-          object: {
-            key: 'value'
+          viewer: {
+            id: 'viewer',
+            name: 'Query.viewer',
+            email: 'User.email',
+            posts: [{ id: 'viewer.post', title: 'Post.title' }]
           },
-          string: 'string'
+          node: {
+            id: '1',
+            title: 'Post.title'
+          }
         }
       });
     });
 
-    it('Is possible to pass in any type as a variable', () => {
-      const mocks = {
-        Query: {
-          property: ({ customScalar }) => customScalar
+    it('Mocks the fields defined in mocks', () => {
+      const server = mockServer(
+        schema,
+        {
+          ...mocks,
+          User: {
+            ...mocks.User,
+            name: () => 'User.name'
+          }
+        },
+        undefined,
+        { keepResolvers: true }
+      );
+
+      const result = server(`
+        query test {
+          viewer {
+            id
+            name
+          }
         }
-      };
+      `);
 
-      const server = mockServer(schemaDefinition, mocks, null);
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            id: 'viewer',
+            name: 'User.name'
+          }
+        }
+      });
+    });
 
-      const variables = {
-        bool: true,
-        float: 0.1,
-        id: 'ID',
-        int: 1,
-        list: [true, 1, 'string'],
-        object: {
-          key: 'value'
-        },
-        string: 'string'
-      };
+    it('Mocks the fields defined in mockOverride', () => {
+      const server = mockServer(schema, mocks, undefined, {
+        keepResolvers: true
+      });
 
       const result = server(
         `
-        query test (
-          $bool: CustomScalar
-          $float: CustomScalar
-          $id: CustomScalar
-          $int: CustomScalar
-          $list: CustomScalar
-          $object: CustomScalar
-          $string: CustomScalar
-        ) {
-          bool: property(customScalar: $bool)
-          float: property(customScalar: $float)
-          id: property(customScalar: $id)
-          int: property(customScalar: $int)
-          list: property(customScalar: $list)
-          object: property(customScalar: $object)
-          string: property(customScalar: $string)
+        query test {
+          viewer {
+            id
+            name
+            posts {
+              id
+            }
+          }
         }
       `,
-        variables
+        {},
+        { viewer: { id: 'mockOverride', name: 'mockOverride' } }
       );
 
       expect(result).toEqual({
         data: {
-          ...variables
+          viewer: {
+            id: 'mockOverride',
+            name: 'mockOverride',
+            posts: [{ id: 'mockOverride.post' }]
+          }
         }
       });
     });
 
-    it('Can be automatically mocked', () => {
-      function getCustomScalarMock(parentType, field) {
-        const nullableType = getNullableType(field.type);
-        if (nullableType.name === 'CustomScalar') {
-          return () => 'getCustomScalarMock';
+    it('Passes the mocked parent value to the resolvers', () => {
+      const query = `
+        query test {
+          viewer {
+            greeting
+            posts {
+              id
+            }
+          }
+        }
+      `;
+      const server = mockServer(
+        schema,
+        {
+          ...mocks,
+          Query: {
+            viewer: () => ({ id: 'mocks', name: 'Mocked' })
+          }
+        },
+        undefined,
+        { keepResolvers: true }
+      );
+
+      expect(server(query)).toEqual({
+        data: {
+          viewer: {
+            greeting: 'Hello Mocked',
+            posts: [{ id: 'mocks.post' }]
+          }
+        }
+      });
+      expect(
+        server(query, {}, { viewer: { name: () => 'mockOverride' } })
+      ).toEqual({
+        data: {
+          viewer: {
+            greeting: 'Hello mockOverride',
+            posts: [{ id: 'mocks.post' }]
+          }
+        }
+      });
+    });
+
+    it('Passes the type mock of the mocked parent value to the resolvers', async () => {
+      const server = mockServerAsync(
+        schema,
+        {
+          ...mocks,
+          Query: {
+            viewer: () => ({ name: 'Mocked' })
+          },
+          User: {
+            ...mocks.User,
+            __self: () => Promise.resolve({ id: 'self', name: 'Self' })
+          }
+        },
+        undefined,
+        { keepResolvers: true }
+      );
+
+      const result = await server(`
+        query test {
+          viewer {
+            greeting
+            posts {
+              id
+            }
+          }
+        }
+      `);
+
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            greeting: 'Hello Mocked',
+            posts: [{ id: 'self.post' }]
+          }
+        }
+      });
+    });
+
+    it('Passes the context to the resolvers', () => {
+      const server = mockServer(schema, mocks, undefined, {
+        keepResolvers: true
+      });
+
+      const result = server(
+        `
+        query test {
+          viewer {
+            name
+          }
+        }
+      `,
+        {},
+        {},
+        { context: { name: 'context' } }
+      );
+
+      expect(result).toEqual({
+        data: {
+          viewer: {
+            name: 'context'
+          }
         }
+      });
+    });
+
+    it('Throws an error if the schema is not a GraphQLSchema', () => {
+      expect.assertions(1);
+      try {
+        mockServer(schemaDefinition, mocks, undefined, {
+          keepResolvers: true
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          'options.keepResolvers requires a GraphQLSchema.'
+        );
       }
+    });
 
-      const server = mockServer(schemaDefinition, {}, [getCustomScalarMock]);
+    it('Mocks all the fields without the option', () => {
+      const server = mockServer(schema, mocks);
 
       const result = server(`
         query test {
-          customScalar
+          viewer {
+            email
+          }
         }
       `);
 
       expect(result).toEqual({
         data: {
-          customScalar: 'getCustomScalarMock'
+          viewer: {
+            email: 'User.email'
+          }
+        }
+      });
+      expect(() => server(`{ viewer { name } }`)).not.toThrow();
+    });
+  });
+
+  describe('strict option', () => {
+    const schemaDefinition = `
+      type Query {
+        user(id: ID!): User
+      }
+
+      type User {
+        name: String
+      }
+    `;
+
+    const mocks = {
+      User: {
+        name: () => 'User.name'
+      }
+    };
+
+    it('Throws an error when the query is invalid', () => {
+      expect.assertions(1);
+      const server = mockServer(schemaDefinition, mocks, undefined, {
+        strict: true
+      });
+
+      try {
+        server(`{
+  user(id: "1") {
+    age
+  }
+}`);
+      } catch (error) {
+        expect(error.message).toBe(
+          'The query could not be executed:\n\n' +
+            'Cannot query field "age" on type "User". Did you mean "name"?\n\n' +
+            'GraphQL request:3:5\n' +
+            '2 |   user(id: "1") {\n' +
+            '3 |     age\n' +
+            '  |     ^\n' +
+            '4 |   }'
+        );
+      }
+    });
+
+    it('Throws an error when the variables are invalid', async () => {
+      expect.assertions(1);
+      const server = mockServerAsync(schemaDefinition, mocks, undefined, {
+        strict: true
+      });
+
+      try {
+        await server(`query test($id: ID!) { user(id: $id) { name } }`);
+      } catch (error) {
+        expect(error.message).toBe(
+          'The query could not be executed:\n\n' +
+            'Variable "$id" of required type "ID!" was not provided.\n\n' +
+            'GraphQL request:1:12\n' +
+            '1 | query test($id: ID!) { user(id: $id) { name } }\n' +
+            '  |            ^'
+        );
+      }
+    });
+
+    it('Does not throw an error for field errors', () => {
+      const server = mockServer(schemaDefinition, mocks, undefined, {
+        strict: true
+      });
+
+      const result = server(
+        `{ user(id: "1") { name } }`,
+        {},
+        { user: { name: Error('Field error.') } }
+      );
+
+      expect(result.errors && result.errors[0].message).toBe('Field error.');
+    });
+
+    it('Returns the errors without the option', () => {
+      const server = mockServer(schemaDefinition, mocks);
+
+      const result = server(`{ user(id: "1") { name`);
+
+      expect(result.errors && result.errors[0].message).toBe(
+        'Syntax Error: Expected Name, found <EOF>'
+      );
+    });
+  });
+
+  describe('unusedMockOverride option', () => {
+    const schemaDefinition = `
+      type Query {
+        viewer: User
+        user: User
+      }
+
+      type User {
+        name: String
+        age: Int
+        metadata: JSON
+        friends: [User]
+      }
+
+      scalar JSON
+    `;
+
+    const mocks = {
+      User: {
+        name: () => 'User.name',
+        metadata: () => ({})
+      }
+    };
+
+    const query = `
+      query test {
+        viewer {
+          name
+          metadata
+          friends {
+            name
+          }
         }
+      }
+    `;
+
+    it('Throws an error listing the unused keys', () => {
+      expect.assertions(1);
+      const server = mockServer(schemaDefinition, mocks, undefined, {
+        unusedMockOverride: 'throw'
+      });
+
+      try {
+        server(
+          query,
+          {},
+          {
+            viewer: {
+              age: 42,
+              friends: [{ name: 'friend' }, { age: 42 }]
+            },
+            user: {}
+          }
+        );
+      } catch (error) {
+        expect(error.message).toBe(
+          'mockOverride has keys that are not used by the query:\n' +
+            "- 'viewer.age'\n" +
+            "- 'viewer.friends.1.age'\n" +
+            "- 'user'"
+        );
+      }
+    });
+
+    it('Warns about the unused keys', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const server = mockServerAsync(schemaDefinition, mocks, undefined, {
+        unusedMockOverride: 'warn'
+      });
+
+      const result = await server(query, {}, { viewer: { age: 42 } });
+
+      expect(result.errors).toBeUndefined();
+      expect(warn).toHaveBeenCalledWith(
+        'mockOverride has keys that are not used by the query:\n' +
+          "- 'viewer.age'"
+      );
+      warn.mockRestore();
+    });
+
+    it('Does not check the values of mock functions and scalars', () => {
+      const server = mockServer(schemaDefinition, mocks, undefined, {
+        unusedMockOverride: 'throw'
       });
+
+      expect(() =>
+        server(
+          `
+          query test {
+            viewer {
+              aliasedName: name
+              metadata
+              friends {
+                name
+              }
+            }
+          }
+        `,
+          {},
+          {
+            viewer: {
+              __typename: 'User',
+              aliasedName: 'User.aliasedName',
+              metadata: { key: 'value' },
+              friends: mockList(1, () => ({ age: 42 }))
+            }
+          }
+        )
+      ).not.toThrow();
+    });
+
+    it('Throws an error if the option is invalid', () => {
+      expect.assertions(1);
+      try {
+        // $FlowFixMe
+        mockServer(schemaDefinition, mocks, undefined, {
+          unusedMockOverride: 'error'
+        });
+      } catch (error) {
+        expect(error.message).toBe(
+          "options.unusedMockOverride must be 'warn' or 'throw'."
+        );
+      }
     });
   });
 });
@@ -0,0 +1,207 @@
+// @flow
+import { mockServer, mockMutation, createMockStore } from '../index';
+
+describe('store', () => {
+  const schemaDefinition = `
+    schema {
+      query: Query
+      mutation: Mutation
+    }
+
+    type Query {
+      user(id: ID!): User
+      viewer: User
+    }
+
+    type Mutation {
+      updateUser(input: UpdateUserInput): UpdateUserPayload
+      deleteUser(id: ID!): Boolean
+    }
+
+    input UpdateUserInput {
+      id: ID!
+      name: String
+    }
+
+    type UpdateUserPayload {
+      user: User
+    }
+
+    interface Node {
+      id: ID!
+    }
+
+    type User implements Node {
+      id: ID!
+      name: String
+      age: Int
+    }
+  `;
+
+  const userQuery = `
+    query test($id: ID!) {
+      user(id: $id) {
+        id
+        name
+        age
+      }
+    }
+  `;
+
+  const getMocks = store => ({
+    Query: {
+      user: ({ id }) => ({ id }),
+      viewer: () => ({ id: 'viewer' })
+    },
+    Mutation: {
+      updateUser: mockMutation({ payloadField: 'user' }),
+      deleteUser: ({ id }) => {
+        store.delete('User', id);
+        return true;
+      }
+    }
+  });
+
+  it('Returns the same values for the same node', () => {
+    const store = createMockStore();
+    const server = mockServer(schemaDefinition, getMocks(store), undefined, {
+      store
+    });
+
+    const result = server(userQuery, { id: '1' });
+
+    expect(server(userQuery, { id: '1' })).toEqual(result);
+    expect(server(userQuery, { id: '2' })).not.toEqual(result);
+    expect(store.get('User', '1')).toEqual(result.data && result.data.user);
+  });
+
+  it('Stores the nodes whose id is not queried', () => {
+    const store = createMockStore();
+    const server = mockServer(schemaDefinition, getMocks(store), undefined, {
+      store
+    });
+
+    const result = server(`{ viewer { name } }`);
+
+    expect(server(`{ viewer { id name } }`)).toEqual({
+      data: {
+        viewer: {
+          // $FlowFixMe
+          ...result.data.viewer,
+          id: 'viewer'
+        }
+      }
+    });
+  });
+
+  it('Patches the nodes with the mutation payloads', () => {
+    const store = createMockStore();
+    const server = mockServer(schemaDefinition, getMocks(store), undefined, {
+      store
+    });
+
+    const result = server(userQuery, { id: '1' });
+    const mutationResult = server(`
+      mutation {
+        updateUser(input: { id: "1", name: "Updated name" }) {
+          user {
+            id
+            name
+            age
+          }
+        }
+      }
+    `);
+
+    // $FlowFixMe
+    const user = { ...result.data.user, name: 'Updated name' };
+    expect(mutationResult).toEqual({ data: { updateUser: { user } } });
+    expect(server(userQuery, { id: '1' })).toEqual({ data: { user } });
+  });
+
+  it('Patches the nodes from mock functions', () => {
+    const store = createMockStore();
+    const server = mockServer(schemaDefinition, getMocks(store), undefined, {
+      store
+    });
+
+    const result = server(userQuery, { id: '1' });
+    server(`mutation { deleteUser(id: "1") }`);
+
+    expect(store.get('User', '1')).toBeUndefined();
+    expect(server(userQuery, { id: '1' })).not.toEqual(result);
+
+    store.set('User', '1', { name: 'Stored name' });
+    // $FlowFixMe
+    expect(server(userQuery, { id: '1' }).data.user.name).toBe('Stored name');
+  });
+
+  it('Stores the values of mockOverride', () => {
+    const store = createMockStore();
+    const server = mockServer(schemaDefinition, getMocks(store), undefined, {
+      store
+    });
+
+    server(userQuery, { id: '1' });
+    server(userQuery, { id: '1' }, { user: { name: 'mockOverride' } });
+
+    // $FlowFixMe
+    expect(server(userQuery, { id: '1' }).data.user.name).toBe('mockOverride');
+  });
+
+  it('Reads the id of the nodes from mockOverride under its alias', () => {
+    const store = createMockStore();
+    const server = mockServer(schemaDefinition, getMocks(store), undefined, {
+      store
+    });
+
+    const result = server(
+      `
+      query test {
+        viewer {
+          name
+          ... on User {
+            uid: id
+          }
+        }
+      }
+    `,
+      {},
+      { viewer: { uid: 'v1' } }
+    );
+
+    // $FlowFixMe
+    const { uid, name } = result.data.viewer;
+    expect(uid).toBe('v1');
+    expect(store.get('User', 'v1')).toEqual({ id: 'v1', name });
+    expect(store.get('User', 'viewer')).toBeUndefined();
+  });
+
+  it('Can be reset', () => {
+    const store = createMockStore();
+    const server = mockServer(schemaDefinition, getMocks(store), undefined, {
+      store
+    });
+
+    server(userQuery, { id: '1' }, { user: { name: 'mockOverride' } });
+    store.reset();
+
+    expect(store.get('User', '1')).toBeUndefined();
+    // $FlowFixMe
+    expect(server(userQuery, { id: '1' }).data.user.name).not.toBe(
+      'mockOverride'
+    );
+  });
+
+  it('Throws an error if the store is invalid', () => {
+    expect.assertions(1);
+    try {
+      // $FlowFixMe
+      mockServer(schemaDefinition, {}, undefined, { store: {} });
+    } catch (error) {
+      expect(error.message).toBe(
+        'options.store must be created with createMockStore().'
+      );
+    }
+  });
+});
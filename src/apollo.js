@@ -0,0 +1,65 @@
+// @flow
+import { ApolloLink, Observable } from 'apollo-link';
+import { print } from 'graphql';
+
+// Apollo Utils
+
+type MockLinkOptions = {
+  mockOverride?: Object,
+  operationMockOverrides?: { [operationName: string]: Object }
+};
+
+type MockServer = (
+  query: string,
+  variables: Object,
+  mockOverride: Object
+) => Object | Promise<Object>;
+
+/**
+ * Returns an Apollo link that executes operations against a mocked server.
+ *
+ * `mockOverride` applies to all operations, unless an override is
+ * defined for the operation name in `operationMockOverrides`.
+ *
+ * Unexpected errors thrown by the mocked server (ie invalid mocks)
+ * error the operation, so they are reported as network errors to the
+ * code awaiting it.
+ */
+export function createMockLink(
+  server: MockServer,
+  options: MockLinkOptions = {}
+): ApolloLink {
+  const { mockOverride = {}, operationMockOverrides = {} } = options;
+
+  return new ApolloLink(
+    operation =>
+      new Observable(observer => {
+        const { operationName, query, variables } = operation;
+        const operationMockOverride =
+          operationName && operationMockOverrides.hasOwnProperty(operationName)
+            ? operationMockOverrides[operationName]
+            : mockOverride;
+
+        let isUnsubscribed = false;
+        Promise.resolve()
+          .then(() => server(print(query), variables, operationMockOverride))
+          .then(
+            result => {
+              if (!isUnsubscribed) {
+                observer.next(result);
+                observer.complete();
+              }
+            },
+            error => {
+              if (!isUnsubscribed) {
+                observer.error(error);
+              }
+            }
+          );
+
+        return () => {
+          isUnsubscribed = true;
+        };
+      })
+  );
+}
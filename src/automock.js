@@ -35,6 +35,6 @@ export function automockScalars(scalarMocks) {
 export const defaultAutomocks = [
   automockScalars(scalarMocks),
   automockEnums,
-  automockLists,
-  automockRelay
+  automockRelay,
+  automockLists
 ];
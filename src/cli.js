@@ -0,0 +1,176 @@
+// @flow
+import fs from 'fs';
+import type { Server } from 'http';
+import path from 'path';
+import { mockServer } from './server';
+import type { SchemaDefinition } from './server';
+import { createMockHttpServer } from './http';
+
+// CLI Utils
+
+type CliOptions = {|
+  schemaPath: string,
+  mocksPath: ?string,
+  queryPath: ?string,
+  variables: Object,
+  operationName: ?string,
+  mockOverride: Object,
+  port: number
+|};
+
+type Output = { +write: string => mixed };
+
+export const USAGE = `Usage: graphql-mock-factory <schema> [options]
+
+Prints the mocked response of a query, or starts a mocked GraphQL server
+if no query is given.
+
+Arguments:
+  <schema>                   Schema definition file (SDL) or introspection
+                             result (JSON)
+
+Options:
+  --mocks <file>             Module exporting the mocks
+  --query <file>             Query to print the mocked response of
+  --variables <json>         Variables of the query
+  --operation-name <name>    Operation to execute if the query has several
+  --mock-override <json>     mockOverride of the query
+  --port <port>              Port of the mocked server (default: 4000)
+  --help                     Show this message
+`;
+
+/**
+ * Runs the CLI with the given arguments.
+ * It resolves with the HTTP server when a mocked server is started.
+ */
+export function runCli(
+  args: Array<string>,
+  output: Output = process.stdout
+): Promise<?Server> {
+  return Promise.resolve().then(() => {
+    if (args.includes('--help')) {
+      output.write(USAGE);
+      return;
+    }
+
+    const options = parseArgs(args);
+    const server = mockServer(
+      readSchema(options.schemaPath),
+      options.mocksPath ? readMocks(options.mocksPath) : {}
+    );
+
+    if (options.queryPath) {
+      const result = server(
+        fs.readFileSync(options.queryPath, 'utf8'),
+        options.variables,
+        options.mockOverride,
+        { operationName: options.operationName || undefined }
+      );
+      output.write(`${JSON.stringify(result, null, 2)}\n`);
+      return;
+    }
+
+    const httpServer = createMockHttpServer(server);
+    return new Promise(resolve => {
+      httpServer.listen(options.port, () => {
+        output.write(
+          `Mocked GraphQL server running at ` +
+            `http://localhost:${httpServer.address().port}/graphql\n`
+        );
+        resolve(httpServer);
+      });
+    });
+  });
+}
+
+function parseArgs(args: Array<string>): CliOptions {
+  const options = {
+    schemaPath: undefined,
+    mocksPath: undefined,
+    queryPath: undefined,
+    variables: {},
+    operationName: undefined,
+    mockOverride: {},
+    port: 4000
+  };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (!arg.startsWith('--')) {
+      if (options.schemaPath) {
+        throw Error(`Unexpected argument '${arg}'.\n\n${USAGE}`);
+      }
+      options.schemaPath = arg;
+      continue;
+    }
+
+    const value = args[++index];
+    if (value === undefined) {
+      throw Error(`Option '${arg}' expects a value.\n\n${USAGE}`);
+    }
+
+    switch (arg) {
+      case '--mocks':
+        options.mocksPath = value;
+        break;
+      case '--query':
+        options.queryPath = value;
+        break;
+      case '--variables':
+        options.variables = parseJSON(value, arg);
+        break;
+      case '--operation-name':
+        options.operationName = value;
+        break;
+      case '--mock-override':
+        options.mockOverride = parseJSON(value, arg);
+        break;
+      case '--port':
+        options.port = Number(value);
+        if (!Number.isInteger(options.port)) {
+          throw Error(`Option '--port' expects a number.`);
+        }
+        break;
+      default:
+        throw Error(`Unknown option '${arg}'.\n\n${USAGE}`);
+    }
+  }
+
+  const { schemaPath } = options;
+  if (!schemaPath) {
+    throw Error(`Missing schema file.\n\n${USAGE}`);
+  }
+
+  return { ...options, schemaPath };
+}
+
+/**
+ * Introspection results are read from `.json` files.
+ */
+function readSchema(schemaPath: string): SchemaDefinition {
+  const schema = fs.readFileSync(schemaPath, 'utf8');
+  return path.extname(schemaPath) === '.json'
+    ? parseJSON(schema, schemaPath)
+    : schema;
+}
+
+/**
+ * The mocks module exports the mocks via `module.exports`
+ * or `export default`.
+ */
+function readMocks(mocksPath: string) {
+  // $FlowFixMe Dynamic require
+  const mocksModule = require(path.resolve(mocksPath));
+  return mocksModule && mocksModule.__esModule
+    ? mocksModule.default
+    : mocksModule;
+}
+
+function parseJSON(json: string, name: string) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw Error(`'${name}' is not valid JSON: ${error.message}`);
+  }
+}
@@ -0,0 +1,99 @@
+// @flow
+import { GraphQLError } from 'graphql';
+
+// Error Utils
+
+type MockErrorParams = {
+  message: string,
+  extensions?: { [string]: mixed },
+  path?: $ReadOnlyArray<string | number>
+};
+
+const mockErrorPaths: WeakMap<
+  Error,
+  $ReadOnlyArray<string | number>
+> = new WeakMap();
+
+/**
+ * Returns a field error to return from mock functions or `mockOverride`.
+ *
+ * Like any other `Error`, the field resolves to `null` and the error is
+ * added to the response with its location and path. Its `extensions`
+ * are kept in the response, eg `{ code: 'NOT_FOUND' }`, and `path`
+ * replaces the path of the field it is returned for.
+ */
+export function mockError(params: MockErrorParams): GraphQLError {
+  const { message, extensions, path } = params;
+  const error = new GraphQLError(
+    message,
+    undefined,
+    undefined,
+    undefined,
+    undefined,
+    undefined,
+    extensions
+  );
+
+  if (path) {
+    mockErrorPaths.set(error, path);
+  }
+  return error;
+}
+
+/**
+ * Replaces the path of the errors returned by `mockError` with their
+ * `path` parameter.
+ */
+export function setMockErrorPaths<
+  T: { +errors?: $ReadOnlyArray<GraphQLError> }
+>(result: T): T {
+  if (!result.errors) {
+    return result;
+  }
+
+  const errors: Array<GraphQLError> = result.errors.map(error => {
+    const path = error.originalError && mockErrorPaths.get(error.originalError);
+    if (!path) {
+      return error;
+    }
+
+    return new GraphQLError(
+      error.message,
+      error.nodes,
+      error.source,
+      error.positions,
+      path,
+      error.originalError,
+      error.extensions
+    );
+  });
+  return { ...result, errors };
+}
+
+/**
+ * Returns the response of a request that failed as a whole,
+ * ie `{ data: null, errors }`.
+ */
+export function getRequestErrorResult(
+  errors: Array<Error>
+): {| data: null, errors: Array<GraphQLError> |} {
+  return {
+    data: null,
+    errors: errors.map(error => {
+      if (error instanceof GraphQLError && !mockErrorPaths.has(error)) {
+        return error;
+      }
+
+      return new GraphQLError(
+        error.message,
+        undefined,
+        undefined,
+        undefined,
+        mockErrorPaths.get(error),
+        error,
+        // $FlowFixMe Errors returned by mockError have extensions
+        error.extensions
+      );
+    })
+  };
+}
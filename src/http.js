@@ -0,0 +1,179 @@
+// @flow
+import http from 'http';
+import { parse as parseUrl } from 'url';
+import type { MockServerCallOptions } from './server';
+
+// HTTP Utils
+
+type MockHttpServerOptions = {
+  path?: string,
+  mockOverridePath?: string
+};
+
+type MockServer = (
+  query: string,
+  variables: Object,
+  mockOverride: Object,
+  callOptions: MockServerCallOptions
+) => mixed;
+
+type GraphQLParams = {|
+  query: string,
+  variables: Object,
+  operationName: ?string
+|};
+
+export const MOCK_OVERRIDE_HEADER = 'x-mock-override';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': `Content-Type, ${MOCK_OVERRIDE_HEADER}`
+};
+
+/**
+ * Returns an HTTP server that executes GraphQL requests against
+ * a mocked server. Call `listen()` on it to start it.
+ *
+ * The `mockOverride` of a request is read from the `x-mock-override`
+ * header. Otherwise, the `mockOverride` last posted to the
+ * `mockOverridePath` endpoint is used.
+ *
+ * Unexpected errors thrown by the mocked server (ie invalid mocks)
+ * are returned with a 500 status code.
+ *
+ * CORS is allowed from any origin so that apps served from another
+ * port can use it. Preflight requests are answered with a 204.
+ */
+export function createMockHttpServer(
+  server: MockServer,
+  options: MockHttpServerOptions = {}
+): http.Server {
+  const { path = '/graphql', mockOverridePath = '/mock-override' } = options;
+  let mockOverride = {};
+
+  return http.createServer((request, response) => {
+    const { pathname = '', query = {} } = parseUrl(request.url, true);
+
+    Object.keys(CORS_HEADERS).forEach(name => {
+      response.setHeader(name, CORS_HEADERS[name]);
+    });
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    readBody(request)
+      .then(body => {
+        if (pathname === mockOverridePath) {
+          if (request.method === 'POST') {
+            mockOverride = parseJSON(body, 'The mockOverride');
+          } else if (request.method === 'DELETE') {
+            mockOverride = {};
+          } else {
+            throw httpError(
+              405,
+              `${mockOverridePath} only supports POST and DELETE requests.`
+            );
+          }
+          sendJSON(response, 200, { mockOverride });
+          return;
+        }
+
+        if (pathname !== path) {
+          throw httpError(404, `Cannot ${request.method} ${pathname}.`);
+        }
+
+        const params = getGraphQLParams(request.method, query, body);
+        const headerMockOverride = request.headers[MOCK_OVERRIDE_HEADER];
+        const requestMockOverride =
+          headerMockOverride !== undefined
+            ? parseJSON(
+                headerMockOverride,
+                `The '${MOCK_OVERRIDE_HEADER}' header`
+              )
+            : mockOverride;
+
+        return Promise.resolve()
+          .then(() =>
+            server(params.query, params.variables, requestMockOverride, {
+              operationName: params.operationName || undefined
+            })
+          )
+          .then(
+            result => sendJSON(response, 200, result),
+            error => {
+              throw httpError(500, error.message);
+            }
+          );
+      })
+      .catch(error => {
+        sendJSON(response, error.statusCode || 500, {
+          errors: [{ message: error.message }]
+        });
+      });
+  });
+}
+
+function getGraphQLParams(
+  method: string,
+  query: { [string]: string },
+  body: string
+): GraphQLParams {
+  let params;
+  if (method === 'GET') {
+    params = {
+      query: query.query,
+      variables: query.variables
+        ? parseJSON(query.variables, 'The variables')
+        : {},
+      operationName: query.operationName
+    };
+  } else if (method === 'POST') {
+    params = parseJSON(body, 'The request body');
+  } else {
+    throw httpError(405, 'GraphQL only supports GET and POST requests.');
+  }
+
+  if (!params || typeof params.query !== 'string') {
+    throw httpError(400, 'Must provide a query string.');
+  }
+
+  return {
+    query: params.query,
+    variables: params.variables || {},
+    operationName: params.operationName
+  };
+}
+
+function readBody(request: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+function parseJSON(json: string, name: string) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw httpError(400, `${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+function sendJSON(response: http.ServerResponse, statusCode: number, body) {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+function httpError(statusCode: number, message: string) {
+  const error: Object = Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
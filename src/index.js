@@ -1,5 +1,8 @@
 // @flow
 export * from './automock';
+export * from './error';
 export * from './list';
+export * from './mutation';
 export * from './relay';
 export * from './server';
+export * from './store';
@@ -1,5 +1,6 @@
 // @flow
 import { GraphQLList, getNullableType, GraphQLObjectType } from 'graphql';
+import type { GraphQLField, GraphQLSchema } from 'graphql';
 
 export type MockListFunction<T> = ({ [string]: any }, number) => T;
 
@@ -24,7 +25,12 @@ export function mockList<T: BaseMockPrimitive | QueryMockPrimitive>(
   };
 }
 
-export function automockLists(parentType, field, getMocks) {
+export function automockLists(
+  parentType: GraphQLObjectType,
+  field: GraphQLField<mixed, mixed>,
+  getMocks: Array<Function>,
+  schema?: GraphQLSchema
+) {
   const nullableType = getNullableType(field.type);
 
   if (!(nullableType instanceof GraphQLList)) {
@@ -46,7 +52,7 @@ export function automockLists(parentType, field, getMocks) {
 
   let mock;
   for (let getMock of getMocks) {
-    mock = getMock(parentType, wrapperField, getMocks);
+    mock = getMock(parentType, wrapperField, getMocks, schema);
     if (mock) {
       break;
     }
@@ -0,0 +1,224 @@
+// @flow
+import {
+  GraphQLInputObjectType,
+  GraphQLList,
+  GraphQLObjectType,
+  getNamedType,
+  getNullableType
+} from 'graphql';
+import type {
+  GraphQLField,
+  GraphQLFieldMap,
+  GraphQLNamedType,
+  GraphQLType
+} from 'graphql';
+import { MockList } from './list';
+import type { BaseMockPrimitive, MockFunction } from './server';
+
+// Mutation Utils
+
+type MockMutationParams = {
+  inputArg?: string,
+  payloadField?: string,
+  ignoredFields?: Array<string>
+};
+
+// The params with their default values.
+type ResolvedMockMutationParams = {|
+  inputArg: string,
+  payloadField: ?string,
+  ignoredFields: Array<string>
+|};
+
+const mockMutationParams: WeakMap<
+  Function,
+  ResolvedMockMutationParams
+> = new WeakMap();
+
+/**
+ * Returns a mock function for a mutation field that echoes the values
+ * of the input argument into the payload.
+ *
+ * The echoed values are deep merged like the return value of any other
+ * base mock, so `mockOverride` and nested mocks still apply.
+ * The shape of the input type is validated against the shape of the
+ * payload when the server is created.
+ */
+export function mockMutation(
+  params: ?MockMutationParams
+): MockFunction<BaseMockPrimitive> {
+  const { inputArg = 'input', payloadField, ignoredFields = [] } = params || {};
+
+  const mutationMock = (args: { [string]: any }) => {
+    const input = args[inputArg];
+    if (input == null) {
+      return {};
+    }
+
+    const echoedInput = {};
+    Object.keys(input).forEach(key => {
+      if (!ignoredFields.includes(key) && input[key] != null) {
+        echoedInput[key] = echoInputValue(input[key]);
+      }
+    });
+
+    return payloadField ? { [payloadField]: echoedInput } : echoedInput;
+  };
+
+  mockMutationParams.set(mutationMock, {
+    inputArg,
+    payloadField,
+    ignoredFields
+  });
+  return mutationMock;
+}
+
+function echoInputValue(value: mixed) {
+  if (Array.isArray(value)) {
+    const array = value;
+    return new MockList(array.length, ({}, index) =>
+      echoInputValue(array[index])
+    );
+  }
+
+  if (value && typeof value === 'object') {
+    const object = value;
+    const echoedObject = {};
+    Object.keys(object).forEach(key => {
+      if (object[key] != null) {
+        echoedObject[key] = echoInputValue(object[key]);
+      }
+    });
+    return echoedObject;
+  }
+
+  return value;
+}
+
+export function validateMockMutation(
+  parentType: GraphQLObjectType,
+  field: GraphQLField<mixed, mixed>,
+  mock: Function
+) {
+  const params = mockMutationParams.get(mock);
+  if (!params) {
+    return;
+  }
+
+  const { inputArg, payloadField, ignoredFields } = params;
+  const mockName = `mockMutation for '${parentType.name}.${field.name}'`;
+
+  const arg = field.args.find(arg => arg.name === inputArg);
+  if (!arg) {
+    throw Error(`${mockName} expects an argument named '${inputArg}'.`);
+  }
+
+  const inputType = getNamedType(arg.type);
+  if (!(inputType instanceof GraphQLInputObjectType)) {
+    throw Error(
+      `${mockName} expects argument '${inputArg}' to be an input object.`
+    );
+  }
+
+  let outputType: GraphQLNamedType = getNamedType(field.type);
+  let outputPath = '';
+  if (payloadField) {
+    const outputFields: GraphQLFieldMap<mixed, mixed> =
+      outputType instanceof GraphQLObjectType ? outputType.getFields() : {};
+    if (!outputFields[payloadField]) {
+      throw Error(
+        `${mockName} expects type '${outputType.name}' ` +
+          `to have a field named '${payloadField}'.`
+      );
+    }
+    outputType = getNamedType(outputFields[payloadField].type);
+    outputPath = payloadField;
+  }
+
+  validateInputShape(
+    mockName,
+    inputType,
+    outputType,
+    inputArg,
+    outputPath,
+    ignoredFields
+  );
+}
+
+function validateInputShape(
+  mockName,
+  inputType,
+  outputType,
+  inputPath,
+  outputPath,
+  ignoredFields
+) {
+  if (!(outputType instanceof GraphQLObjectType)) {
+    throw Error(
+      `${mockName} cannot echo input field '${inputPath}' ` +
+        `of type '${inputType.name}' into type '${outputType.name}'.\n` +
+        `Input objects can only be echoed into object types.`
+    );
+  }
+
+  const outputFields = outputType.getFields();
+  const inputFields = inputType.getFields();
+
+  Object.keys(inputFields).forEach(fieldName => {
+    if (ignoredFields.includes(fieldName)) {
+      return;
+    }
+
+    const inputField = inputFields[fieldName];
+    const outputField = outputFields[fieldName];
+    const nestedInputPath = `${inputPath}.${fieldName}`;
+    const nestedOutputPath = outputPath
+      ? `${outputPath}.${fieldName}`
+      : fieldName;
+
+    if (!outputField) {
+      throw Error(
+        `${mockName} cannot echo input field '${nestedInputPath}'.\n` +
+          `Type '${outputType.name}' does not have a field named ` +
+          `'${fieldName}'. Use 'ignoredFields' to skip it.`
+      );
+    }
+
+    const namedInputType = getNamedType(inputField.type);
+    const namedOutputType = getNamedType(outputField.type);
+
+    if (
+      getListDepth(inputField.type) !== getListDepth(outputField.type) ||
+      (!(namedInputType instanceof GraphQLInputObjectType) &&
+        namedInputType.name !== namedOutputType.name)
+    ) {
+      throw Error(
+        `${mockName} cannot echo input field '${nestedInputPath}'.\n` +
+          `Type '${String(inputField.type)}' is incompatible with ` +
+          `type '${String(outputField.type)}' of '${nestedOutputPath}'.`
+      );
+    }
+
+    if (namedInputType instanceof GraphQLInputObjectType) {
+      validateInputShape(
+        mockName,
+        namedInputType,
+        namedOutputType,
+        nestedInputPath,
+        nestedOutputPath,
+        // Ignored fields only apply to the top-level input fields.
+        []
+      );
+    }
+  });
+}
+
+function getListDepth(type: GraphQLType) {
+  let depth = 0;
+  let nullableType = getNullableType(type);
+  while (nullableType instanceof GraphQLList) {
+    depth++;
+    nullableType = getNullableType(nullableType.ofType);
+  }
+  return depth;
+}
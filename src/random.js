@@ -1,4 +1,4 @@
-import { v1 as uuidv1 } from 'uuid';
+import { v4 as uuidv4 } from 'uuid';
 
 // borrowed from lorem-ipsum package
 export const WORDS = [
@@ -66,20 +66,68 @@ export const WORDS = [
   'voluptate'
 ];
 
+let currentGenerator = Math.random;
+
+/**
+ * Returns a seeded pseudo-random number generator (mulberry32).
+ * The same seed always generates the same sequence of numbers.
+ */
+export function createRandomGenerator(seed) {
+  let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(string) {
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < string.length; i++) {
+    hash = Math.imul(hash ^ string.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function getGenerator() {
+  return currentGenerator;
+}
+
+/**
+ * Calls `callback` so that the random values it needs are generated
+ * by `generator`.
+ */
+export function withGenerator(generator, callback) {
+  const previousGenerator = currentGenerator;
+  currentGenerator = generator;
+  try {
+    return callback();
+  } finally {
+    currentGenerator = previousGenerator;
+  }
+}
+
 export function getInt(min, max) {
   return Math.floor(getFloat(min, max + 1));
 }
 
 export function getBoolean() {
-  return Math.random() > 0.5 ? true : false;
+  return currentGenerator() > 0.5 ? true : false;
 }
 
 export function getFloat(min, max) {
-  return Math.random() * (max - min) + min;
+  return currentGenerator() * (max - min) + min;
 }
 
 export function getUUID() {
-  return uuidv1();
+  const bytes = [];
+  for (let i = 0; i < 16; i++) {
+    bytes[i] = getInt(0, 255);
+  }
+  return uuidv4({ random: bytes });
 }
 
 export function getString(wordCount = 5) {
@@ -1,7 +1,16 @@
 // @flow
 import { getUUID } from './random';
-import { mockList } from './list';
-import { GraphQLObjectType } from 'graphql';
+import { mockList, MockList } from './list';
+import {
+  GraphQLObjectType,
+  getNamedType,
+  getNullableType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isScalarType
+} from 'graphql';
+import type { GraphQLField, GraphQLSchema } from 'graphql';
 
 // Relay Utils
 
@@ -18,6 +27,12 @@ type RelayConnectionMockParams = {
 };
 
 // TODO Add better types
+/**
+ * Mocks a page of a virtual collection of `maxSize` items, or of an
+ * unbounded collection if `maxSize` is not set.
+ * Cursors encode the offset of the edges in the collection so that
+ * `after` and `before` return the next and previous pages.
+ */
 export function mockConnection(
   params: ?RelayConnectionMockParams
 ): RelayConnactionParams => mixed {
@@ -38,37 +53,124 @@ export function mockConnection(
       return Error('Before and after cannot be both set.');
     }
 
-    const isForwardPagination = first != null;
-    // $FlowFixMe
-    const requestedPageSize: number = first != null ? first : last;
+    const afterOffset = isEmptyString(after) ? -1 : getCursorOffset(after);
+    const beforeOffset = isEmptyString(before) ? null : getCursorOffset(before);
+    if (Number.isNaN(afterOffset) || Number.isNaN(beforeOffset)) {
+      return Error(`Invalid cursor '${String(after || before)}'.`);
+    }
+
+    const size = maxSize != null ? maxSize : Infinity;
+    const windowStart = Math.min(afterOffset + 1, size);
+    const windowEnd =
+      beforeOffset != null ? Math.min(beforeOffset, size) : size;
 
-    const pageSize =
-      maxSize && requestedPageSize > maxSize ? maxSize : requestedPageSize;
+    // An unbounded collection has no end to paginate backward from,
+    // so its pages start after `after` and always have previous items.
+    const isUnboundedBackward = first == null && windowEnd === Infinity;
+
+    let pageStart;
+    let pageEnd;
+    if (first != null) {
+      pageStart = windowStart;
+      pageEnd = Math.min(windowStart + first, windowEnd);
+    } else if (isUnboundedBackward) {
+      pageStart = windowStart;
+      // $FlowFixMe
+      pageEnd = windowStart + last;
+    } else {
+      // $FlowFixMe
+      pageStart = Math.max(windowEnd - last, windowStart);
+      pageEnd = windowEnd;
+    }
+    const pageSize = Math.max(pageEnd - pageStart, 0);
 
-    const hasMorePages = maxSize != null ? pageSize < maxSize : true;
+    const hasNextPage = isUnboundedBackward ? false : pageEnd < size;
+    const hasPreviousPage = isUnboundedBackward ? true : pageStart > 0;
 
     return {
       edges: mockList(pageSize, ({}, index) => ({
         node: nodeMockFunction
-          ? nodeMockFunction(relayConnectionArgs, index)
+          ? nodeMockFunction(relayConnectionArgs, pageStart + index)
           : undefined,
-        cursor: `cursor_${index}`
+        cursor: getCursor(pageStart + index)
       })),
       pageInfo: {
-        hasNextPage: isForwardPagination ? hasMorePages : false,
-        hasPreviousPage: isForwardPagination ? false : hasMorePages,
-        startCursor: pageSize > 0 ? 'cursor_0' : null,
-        endCursor: pageSize > 0 ? `cursor_${pageSize - 1}` : null
+        hasNextPage,
+        hasPreviousPage,
+        startCursor: pageSize > 0 ? getCursor(pageStart) : null,
+        endCursor: pageSize > 0 ? getCursor(pageStart + pageSize - 1) : null
       }
     };
   };
 }
 
+function getCursor(offset: number) {
+  return `cursor_${offset}`;
+}
+
+function getCursorOffset(cursor: ?string) {
+  const match = /^cursor_(\d+)$/.exec(cursor || '');
+  return match ? Number(match[1]) : NaN;
+}
+
 function isEmptyString(string: ?string) {
   return !string || string.length === 0;
 }
 
-export function automockRelay(parentType, field) {
+type RelayNodeMockParams = {
+  getTypename?: (id: string) => ?string
+};
+
+/**
+ * Returns a mock function for the `node(id:)` root field that returns
+ * the node with the requested id.
+ * Its type is decoded from the id by `getTypename`, which defaults to
+ * decoding Relay global ids. If it returns nothing, the type is resolved
+ * like any other interface field.
+ */
+export function mockNode(
+  params: ?RelayNodeMockParams
+): ({ id: string }) => mixed {
+  const getTypename = (params && params.getTypename) || getGlobalIdTypename;
+  return ({ id }) => getNodeMock(id, getTypename);
+}
+
+/**
+ * Same as `mockNode` but for the `nodes(ids:)` root field.
+ */
+export function mockNodes(
+  params: ?RelayNodeMockParams
+): ({ ids: Array<string> }) => mixed {
+  const getTypename = (params && params.getTypename) || getGlobalIdTypename;
+  return ({ ids }) =>
+    new MockList(ids.length, ({}, index) =>
+      getNodeMock(ids[index], getTypename)
+    );
+}
+
+function getNodeMock(id: string, getTypename: string => ?string) {
+  const typename = getTypename(id);
+  return typename ? { id, __typename: typename } : { id };
+}
+
+/**
+ * Relay global ids are base64 encoded `${typename}:${id}` strings.
+ */
+export function getGlobalIdTypename(globalId: string): ?string {
+  const decodedId =
+    typeof Buffer !== 'undefined'
+      ? Buffer.from(globalId, 'base64').toString('utf8')
+      : atob(globalId);
+  const match = /^([_A-Za-z][_0-9A-Za-z]*):/.exec(decodedId);
+  return match ? match[1] : undefined;
+}
+
+export function automockRelay(
+  parentType: GraphQLObjectType,
+  field: GraphQLField<mixed, mixed>,
+  getMocks?: Array<Function>,
+  schema?: GraphQLSchema
+) {
   if (isRelayConnectionType(field.type)) {
     return mockConnection();
   }
@@ -79,6 +181,19 @@ export function automockRelay(parentType, field) {
     }
   }
 
+  // The schema is not passed when the automock is called directly.
+  const queryType = schema ? schema.getQueryType() : undefined;
+  if (queryType ? parentType === queryType : parentType.name === 'Query') {
+    const argNames = field.args.map(arg => arg.name);
+    if (field.name === 'node' && argNames.includes('id')) {
+      return mockNode();
+    }
+
+    if (field.name === 'nodes' && argNames.includes('ids')) {
+      return mockNodes();
+    }
+  }
+
   // Add dummy mocks for Relay all fields even though
   // they are populated by `mockConnection` so there is
   // no dependency on `defaultAutomocks`.
@@ -106,7 +221,7 @@ export function automockRelay(parentType, field) {
   }
 }
 
-function isRelayConnectionType(graphQLtype) {
+export function isRelayConnectionType(graphQLtype) {
   if (!(graphQLtype instanceof GraphQLObjectType)) {
     return false;
   }
@@ -120,7 +235,7 @@ function isRelayConnectionType(graphQLtype) {
   );
 }
 
-function isRelayEdgeType(graphQLtype) {
+export function isRelayEdgeType(graphQLtype) {
   if (!(graphQLtype instanceof GraphQLObjectType)) {
     return false;
   }
@@ -147,7 +262,7 @@ function isRelayPageInfoType(graphQLtype) {
   );
 }
 
-function isRelayNode(graphQLtype) {
+export function isRelayNode(graphQLtype) {
   if (!(graphQLtype instanceof GraphQLObjectType)) {
     return false;
   }
@@ -156,3 +271,174 @@ function isRelayNode(graphQLtype) {
     .getInterfaces()
     .some(graphQLinterface => graphQLinterface.name === 'Node');
 }
+
+/**
+ * Checks that the connection, edge and `PageInfo` types of the schema
+ * comply with the Relay Cursor Connections spec, ie
+ * https://relay.dev/graphql/connections.htm
+ * Like in the spec, connection types are the object types
+ * whose name ends with `Connection`.
+ */
+export function validateRelaySchema(schema: GraphQLSchema) {
+  const errors = [];
+  // Edge and `PageInfo` types are shared by connections so they are
+  // checked once.
+  const edgeTypes = new Set();
+  const pageInfoTypes = new Set();
+
+  Object.values(schema.getTypeMap()).forEach(type => {
+    if (!isObjectType(type)) {
+      return;
+    }
+
+    // $FlowFixMe Refined by isObjectType
+    const fields = type.getFields();
+    if (type.name.endsWith('Connection') && type.name !== 'Connection') {
+      const { edges, pageInfo } = fields;
+      if (!edges) {
+        errors.push(`'${type.name}' must have a field 'edges'.`);
+      } else if (
+        !isListType(getNullableType(edges.type)) ||
+        !isRelayEdgeType(getNamedType(edges.type))
+      ) {
+        errors.push(
+          `'${type.name}.edges' must be a list of edge types, ` +
+            `got '${String(edges.type)}'.`
+        );
+      } else {
+        edgeTypes.add(getNamedType(edges.type));
+      }
+
+      if (!pageInfo) {
+        errors.push(`'${type.name}' must have a field 'pageInfo'.`);
+      } else {
+        const pageInfoType = getNamedType(pageInfo.type);
+        if (!isNonNullType(pageInfo.type) || pageInfoType.name !== 'PageInfo') {
+          errors.push(
+            `'${type.name}.pageInfo' must be of type 'PageInfo!', ` +
+              `got '${String(pageInfo.type)}'.`
+          );
+        }
+        if (isObjectType(pageInfoType)) {
+          pageInfoTypes.add(pageInfoType);
+        }
+      }
+    }
+
+    Object.keys(fields).forEach(fieldName => {
+      const field = fields[fieldName];
+      if (isRelayConnectionType(getNullableType(field.type))) {
+        errors.push(...getConnectionArgsErrors(type.name, field));
+      }
+    });
+  });
+
+  edgeTypes.forEach(edgeType => {
+    errors.push(...getEdgeTypeErrors(edgeType));
+  });
+  pageInfoTypes.forEach(pageInfoType => {
+    errors.push(...getPageInfoTypeErrors(pageInfoType));
+  });
+
+  if (errors.length > 0) {
+    throw Error(
+      `The schema does not comply with the Relay Cursor Connections spec:\n` +
+        errors.map(error => `- ${error}`).join('\n')
+    );
+  }
+}
+
+function getEdgeTypeErrors(edgeType: GraphQLObjectType) {
+  const errors = [];
+  // Edge types have `node` and `cursor` fields, see isRelayEdgeType.
+  const { node, cursor } = edgeType.getFields();
+
+  if (isListType(getNullableType(node.type))) {
+    errors.push(
+      `'${edgeType.name}.node' must not be a list, got '${String(node.type)}'.`
+    );
+  }
+
+  if (!isNonNullType(cursor.type) || !isScalarType(getNamedType(cursor.type))) {
+    errors.push(
+      `'${edgeType.name}.cursor' must be a non-null scalar, ` +
+        `got '${String(cursor.type)}'.`
+    );
+  }
+
+  return errors;
+}
+
+function getPageInfoTypeErrors(pageInfoType: GraphQLObjectType) {
+  const errors = [];
+  const fields = pageInfoType.getFields();
+
+  ['hasNextPage', 'hasPreviousPage'].forEach(fieldName => {
+    const field = fields[fieldName];
+    if (!field) {
+      errors.push(`'${pageInfoType.name}' must have a field '${fieldName}'.`);
+    } else if (String(field.type) !== 'Boolean!') {
+      errors.push(
+        `'${pageInfoType.name}.${fieldName}' must be of type 'Boolean!', ` +
+          `got '${String(field.type)}'.`
+      );
+    }
+  });
+
+  ['startCursor', 'endCursor'].forEach(fieldName => {
+    const field = fields[fieldName];
+    if (!field) {
+      errors.push(`'${pageInfoType.name}' must have a field '${fieldName}'.`);
+    } else if (!isScalarType(getNullableType(field.type))) {
+      errors.push(
+        `'${pageInfoType.name}.${fieldName}' must be a scalar, ` +
+          `got '${String(field.type)}'.`
+      );
+    }
+  });
+
+  return errors;
+}
+
+function getConnectionArgsErrors(
+  typeName: string,
+  field: GraphQLField<mixed, mixed>
+) {
+  const errors = [];
+  const fieldName = `${typeName}.${field.name}`;
+  const args = {};
+  field.args.forEach(arg => {
+    args[arg.name] = arg;
+  });
+
+  const isForward = args.first && args.after;
+  const isBackward = args.last && args.before;
+  if (!isForward && !isBackward) {
+    errors.push(
+      `'${fieldName}' must have the arguments 'first' and 'after', ` +
+        `or 'last' and 'before'.`
+    );
+  }
+
+  ['first', 'last'].forEach(argName => {
+    const arg = args[argName];
+    if (arg && getNullableType(arg.type).name !== 'Int') {
+      errors.push(
+        `'${fieldName}(${argName}:)' must be of type 'Int', ` +
+          `got '${String(arg.type)}'.`
+      );
+    }
+  });
+
+  ['after', 'before'].forEach(argName => {
+    const arg = args[argName];
+    if (arg && !isScalarType(getNullableType(arg.type))) {
+      errors.push(
+        `'${fieldName}(${argName}:)' must be a scalar, ` +
+          `got '${String(arg.type)}'.`
+      );
+    }
+  });
+
+  return errors;
+}
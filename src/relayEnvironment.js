@@ -0,0 +1,127 @@
+// @flow
+import { Environment, Network, RecordSource, Store } from 'relay-runtime';
+
+// Relay Environment Utils
+
+type MockRelayEnvironmentOptions = {
+  mockOverride?: Object,
+  operationMockOverrides?: { [operationName: string]: Object },
+  holdResponses?: boolean
+};
+
+type MockServer = (
+  query: string,
+  variables: Object,
+  mockOverride: Object
+) => Object | Promise<Object>;
+
+type MockRelayEnvironmentControls = {|
+  getPendingOperations: () => Array<string>,
+  resolve: (operationName: string, mockOverride?: Object) => void,
+  reject: (operationName: string, error: Error) => void
+|};
+
+type PendingOperation = {|
+  operationName: string,
+  execute: (mockOverride: Object) => mixed,
+  reject: (error: Error) => void
+|};
+
+/**
+ * Returns a Relay environment whose network executes operations
+ * against a mocked server, along with `mock` to control it.
+ *
+ * `mockOverride` applies to all operations, unless an override is
+ * defined for the operation name in `operationMockOverrides`.
+ *
+ * With `holdResponses`, operations stay pending until the test resolves
+ * or rejects them via `mock`.
+ */
+export function createMockRelayEnvironment(
+  server: MockServer,
+  options: MockRelayEnvironmentOptions = {}
+): {| environment: Environment, mock: MockRelayEnvironmentControls |} {
+  const {
+    mockOverride = {},
+    operationMockOverrides = {},
+    holdResponses = false
+  } = options;
+  const pendingOperations: Array<PendingOperation> = [];
+
+  const getMockOverride = operationName =>
+    operationMockOverrides.hasOwnProperty(operationName)
+      ? operationMockOverrides[operationName]
+      : mockOverride;
+
+  const fetchFunction = (request, variables) =>
+    new Promise((resolve, reject) => {
+      const execute = operationMockOverride =>
+        Promise.resolve()
+          .then(() => server(request.text, variables, operationMockOverride))
+          .then(resolve, reject);
+
+      if (!holdResponses) {
+        execute(getMockOverride(request.name));
+        return;
+      }
+
+      pendingOperations.push({
+        operationName: request.name,
+        execute,
+        reject
+      });
+    });
+
+  const takePendingOperation = (operationName: string) => {
+    const index = pendingOperations.findIndex(
+      operation => operation.operationName === operationName
+    );
+    if (index === -1) {
+      const pendingOperationNames = pendingOperations.map(
+        operation => `'${operation.operationName}'`
+      );
+      throw Error(
+        `There is no pending operation named '${operationName}'.\n` +
+          (pendingOperationNames.length > 0
+            ? `Pending operations are: ${pendingOperationNames.join(', ')}.`
+            : `There are no pending operations.`)
+      );
+    }
+    return pendingOperations.splice(index, 1)[0];
+  };
+
+  const environment = new Environment({
+    network: Network.create(fetchFunction),
+    store: new Store(new RecordSource())
+  });
+
+  const mock = {
+    /**
+     * Returns the names of the pending operations in the order
+     * they were sent.
+     */
+    getPendingOperations: (): Array<string> =>
+      pendingOperations.map(operation => operation.operationName),
+
+    /**
+     * Resolves the oldest pending operation with this name.
+     * The `mockOverride` of the environment is used by default.
+     */
+    resolve: (operationName: string, operationMockOverride?: Object) => {
+      takePendingOperation(operationName).execute(
+        operationMockOverride !== undefined
+          ? operationMockOverride
+          : getMockOverride(operationName)
+      );
+    },
+
+    /**
+     * Rejects the oldest pending operation with this name.
+     */
+    reject: (operationName: string, error: Error) => {
+      takePendingOperation(operationName).reject(error);
+    }
+  };
+
+  return { environment, mock };
+}
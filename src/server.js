@@ -4,15 +4,25 @@ import {
   buildSchemaFromTypeDefinitions
 } from 'graphql-tools';
 import {
+  graphql,
   graphqlSync,
   GraphQLSchema,
   GraphQLObjectType,
   GraphQLEnumType,
   GraphQLInterfaceType,
+  GraphQLUnionType,
   GraphQLList,
+  GraphQLNonNull,
+  buildClientSchema,
+  isSchema,
   getNullableType,
   getNamedType,
-  isLeafType
+  isLeafType,
+  getOperationAST,
+  defaultFieldResolver,
+  parse,
+  printError,
+  Kind
 } from 'graphql';
 import type {
   GraphQLInt,
@@ -21,10 +31,21 @@ import type {
   GraphQLResolveInfo,
   GraphQLNamedType,
   GraphQLFieldResolver,
-  GraphQLOutputType
+  GraphQLTypeResolver,
+  GraphQLOutputType,
+  ExecutionResult,
+  IntrospectionQuery,
+  FieldNode,
+  SelectionSetNode
 } from 'graphql';
+import objectHash from 'object-hash';
 import { defaultAutomocks } from './automock';
+import { getRequestErrorResult, setMockErrorPaths } from './error';
 import { MockList } from './list';
+import { validateMockMutation } from './mutation';
+import * as random from './random';
+import { isRelayNode, validateRelaySchema } from './relay';
+import { MockStore } from './store';
 
 export type FieldArgs = { [string]: any };
 
@@ -54,40 +75,785 @@ export type QueryMockPrimitive =
 
 export type QueryMock = QueryMockPrimitive | MockFunction<QueryMockPrimitive>;
 
+export type SchemaDefinition =
+  | string
+  | GraphQLSchema
+  | IntrospectionQuery
+  | { data: IntrospectionQuery };
+
+export type TypeResolver = (
+  abstractType: GraphQLInterfaceType | GraphQLUnionType,
+  info: GraphQLResolveInfo
+) => string;
+
+export type MockServerOptions = {
+  resolveType?: 'random' | 'first' | 'fragment' | TypeResolver,
+  seed?: number | string,
+  stableValues?: boolean,
+  keepResolvers?: boolean,
+  store?: MockStore,
+  strictRelay?: boolean,
+  strict?: boolean,
+  unusedMockOverride?: 'warn' | 'throw'
+};
+
+export type MockServerCallOptions = {
+  seed?: number | string,
+  operationName?: string,
+  context?: mixed,
+  // Request-level outcomes, the query is not executed if one is set.
+  errors?: Array<Error>,
+  networkError?: Error,
+  response?: mixed
+};
+
+type MockContext = {|
+  random: () => number,
+  seed: number | string | void,
+  stableValues: boolean,
+  // The context passed to the resolvers kept by `options.keepResolvers`.
+  context: mixed,
+  // The keys of the `mockOverride` objects read during the execution.
+  usedMockOverrideKeys: WeakMap<Object, Set<string>>
+|};
+
 export function mockServer(
-  schemaDefinition: string,
+  schemaDefinition: SchemaDefinition,
   mocks: MockMap = {},
-  automocks = defaultAutomocks
+  automocks = defaultAutomocks,
+  options: MockServerOptions = {}
 ) {
-  const schema: GraphQLSchema = buildSchemaFromTypeDefinitions(
-    schemaDefinition
+  const { schema, fieldResolver, typeResolver } = buildMockedSchema(
+    schemaDefinition,
+    mocks,
+    automocks,
+    options,
+    false
+  );
+
+  const server = (
+    query: string,
+    variables: Object = {},
+    mockOverride: Object = {},
+    callOptions: MockServerCallOptions = {}
+  ): ExecutionResult => {
+    if (hasRequestOutcome(callOptions)) {
+      return getRequestOutcome(callOptions);
+    }
+
+    const context = getMockContext(options, callOptions);
+    const result = graphqlSync({
+      schema,
+      source: query,
+      // TODO Rename to mockOverride
+      rootValue: createRoot(mockOverride, undefined),
+      contextValue: context,
+      variableValues: variables,
+      operationName: callOptions.operationName,
+      fieldResolver,
+      typeResolver
+    });
+    throwUnexpectedErrors(result);
+    if (options.strict) {
+      throwRequestErrors(result);
+    }
+    checkUnusedMockOverride(result, mockOverride, context, options);
+    return setMockErrorPaths(result);
+  };
+
+  server.subscribe = (
+    query: string,
+    variables: Object = {},
+    events: SubscriptionEvents = 1
+  ) => mockEventStream(server, query, variables, events);
+
+  return server;
+}
+
+/**
+ * Same as `mockServer` except that mock functions and `mockOverride`
+ * functions are allowed to return promises.
+ * The returned server returns a promise of the GraphQL response.
+ */
+export function mockServerAsync(
+  schemaDefinition: SchemaDefinition,
+  mocks: MockMap = {},
+  automocks = defaultAutomocks,
+  options: MockServerOptions = {}
+) {
+  const { schema, fieldResolver, typeResolver } = buildMockedSchema(
+    schemaDefinition,
+    mocks,
+    automocks,
+    options,
+    true
+  );
+
+  const server = (
+    query: string,
+    variables: Object = {},
+    mockOverride: Object = {},
+    callOptions: MockServerCallOptions = {}
+  ): Promise<ExecutionResult> => {
+    if (hasRequestOutcome(callOptions)) {
+      return Promise.resolve().then(() => getRequestOutcome(callOptions));
+    }
+
+    const context = getMockContext(options, callOptions);
+    return graphql({
+      schema,
+      source: query,
+      rootValue: createRoot(mockOverride, undefined),
+      contextValue: context,
+      variableValues: variables,
+      operationName: callOptions.operationName,
+      fieldResolver,
+      typeResolver
+    }).then(result => {
+      throwUnexpectedErrors(result);
+      if (options.strict) {
+        throwRequestErrors(result);
+      }
+      checkUnusedMockOverride(result, mockOverride, context, options);
+      return setMockErrorPaths(result);
+    });
+  };
+
+  server.subscribe = (
+    query: string,
+    variables: Object = {},
+    events: SubscriptionEvents = 1
+  ) => mockEventStream(server, query, variables, events);
+
+  return server;
+}
+
+/**
+ * Each query is executed with a new random generator so that
+ * the same seed always generates the same response.
+ */
+function getMockContext(
+  options: MockServerOptions,
+  callOptions: MockServerCallOptions
+): MockContext {
+  const seed = callOptions.seed !== undefined ? callOptions.seed : options.seed;
+  return {
+    random:
+      seed !== undefined ? random.createRandomGenerator(seed) : Math.random,
+    seed,
+    stableValues: !!options.stableValues,
+    context: callOptions.context,
+    usedMockOverrideKeys: new WeakMap()
+  };
+}
+
+/**
+ * Records that the `mockOverride` value of the field is read, whether
+ * or not it is defined.
+ */
+function markUsedMockOverrideKey(source, context: MockContext, info) {
+  if (
+    !mockRoots.has(source) ||
+    !source.queryMock ||
+    typeof source.queryMock !== 'object'
+  ) {
+    return;
+  }
+
+  const { usedMockOverrideKeys } = context;
+  if (!usedMockOverrideKeys.has(source.queryMock)) {
+    usedMockOverrideKeys.set(source.queryMock, new Set());
+  }
+  // $FlowFixMe The set is added above
+  usedMockOverrideKeys.get(source.queryMock).add(String(info.path.key));
+}
+
+/**
+ * With `options.unusedMockOverride`, the keys of `mockOverride` that
+ * were not read by the query are reported, eg fields that are not
+ * selected anymore.
+ *
+ * Only the objects used as the `mockOverride` of an object field are
+ * checked. Mock functions, `MockList` and the values of custom scalars
+ * are not. `__typename` is ignored since it may be read by the query
+ * via an abstract type or not at all.
+ */
+function checkUnusedMockOverride(
+  result,
+  mockOverride: Object,
+  context: MockContext,
+  options: MockServerOptions
+) {
+  // Queries that could not be executed do not read mockOverride.
+  if (!options.unusedMockOverride || result.data === undefined) {
+    return;
+  }
+
+  const unusedPaths = [];
+  const checkValue = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => checkValue(item, [...path, index]));
+      return;
+    }
+
+    const usedKeys =
+      value && typeof value === 'object'
+        ? context.usedMockOverrideKeys.get(value)
+        : undefined;
+    if (!usedKeys) {
+      return;
+    }
+
+    Object.keys(value).forEach(key => {
+      if (key === '__typename') {
+        return;
+      }
+
+      if (usedKeys.has(key)) {
+        checkValue(value[key], [...path, key]);
+      } else {
+        unusedPaths.push([...path, key].join('.'));
+      }
+    });
+  };
+  checkValue(mockOverride, []);
+
+  if (unusedPaths.length === 0) {
+    return;
+  }
+
+  const message =
+    `mockOverride has keys that are not used by the query:\n` +
+    unusedPaths.map(path => `- '${path}'`).join('\n');
+  if (options.unusedMockOverride === 'throw') {
+    throw Error(message);
+  }
+  console.warn(message);
+}
+
+function hasRequestOutcome(callOptions: MockServerCallOptions) {
+  return (
+    callOptions.errors !== undefined ||
+    callOptions.networkError !== undefined ||
+    callOptions.response !== undefined
+  );
+}
+
+/**
+ * Simulates a request that fails as a whole:
+ * - `errors` returns `{ data: null, errors }`
+ * - `networkError` is thrown, eg to test retry logic
+ * - `response` is returned as is, eg to test malformed responses
+ */
+function getRequestOutcome(
+  callOptions: MockServerCallOptions
+): ExecutionResult {
+  const { errors, networkError, response } = callOptions;
+  const outcomeCount = [errors, networkError, response].filter(
+    outcome => outcome !== undefined
+  ).length;
+  if (outcomeCount > 1) {
+    throw Error(
+      `Only one of callOptions.errors, callOptions.networkError ` +
+        `and callOptions.response can be set.`
+    );
+  }
+
+  if (networkError !== undefined) {
+    throw networkError;
+  }
+
+  if (errors !== undefined) {
+    if (
+      !Array.isArray(errors) ||
+      errors.length === 0 ||
+      !errors.every(error => error instanceof Error)
+    ) {
+      throw Error(`callOptions.errors must be a non-empty array of errors.`);
+    }
+    return getRequestErrorResult(errors);
+  }
+
+  // $FlowFixMe The response is returned as is, even if it is malformed
+  return response;
+}
+
+/**
+ * With `options.stableValues`, the random values of a field are generated
+ * from a hash of its response path, type and args. This way, they do not
+ * depend on the other fields selected by the query.
+ */
+function getPathGenerator(
+  context: MockContext,
+  path: FieldPath | void,
+  typeName: string,
+  fieldName: string,
+  args: FieldArgs = {}
+): () => number {
+  if (!context.stableValues) {
+    return context.random;
+  }
+
+  return random.createRandomGenerator(
+    objectHash({
+      seed: context.seed,
+      path: path ? getFullPath(path) : '',
+      typeName,
+      fieldName,
+      args
+    })
   );
+}
+
+/**
+ * A subscription emits one payload per `mockOverride` object.
+ * A number of events can be passed in instead if the payloads
+ * do not need to be customized.
+ */
+export type SubscriptionEvents = number | Array<Object>;
+
+const $$asyncIterator =
+  typeof Symbol === 'function' && Symbol.asyncIterator
+    ? Symbol.asyncIterator
+    : '@@asyncIterator';
+
+/**
+ * Returns an async iterator that executes the subscription document once
+ * per event when the next payload is requested.
+ * The payloads are generated like any other query, ie by merging the base
+ * mocks with the `mockOverride` object of the event.
+ */
+function mockEventStream(
+  server: (string, Object, Object) => Object | Promise<Object>,
+  query: string,
+  variables: Object,
+  events: SubscriptionEvents
+) {
+  const operation = getOperationAST(parse(query));
+  if (!operation || operation.operation !== 'subscription') {
+    throw Error(
+      'subscribe() expects a document with a subscription operation.'
+    );
+  }
+
+  const mockOverrides =
+    typeof events === 'number'
+      ? Array.from({ length: events }, () => ({}))
+      : events;
+
+  let index = 0;
+  let isDone = false;
+
+  const done = () => {
+    isDone = true;
+    return Promise.resolve({ value: undefined, done: true });
+  };
+
+  return {
+    next() {
+      if (isDone || index >= mockOverrides.length) {
+        return done();
+      }
+
+      const mockOverride = mockOverrides[index++];
+      return Promise.resolve()
+        .then(() => server(query, variables, mockOverride))
+        .then(payload => ({ value: payload, done: false }));
+    },
+    return() {
+      return done();
+    },
+    throw(error) {
+      isDone = true;
+      return Promise.reject(error);
+    },
+    [$$asyncIterator]() {
+      return this;
+    }
+  };
+}
+
+type MockedSchema = {|
+  schema: GraphQLSchema,
+  fieldResolver: GraphQLFieldResolver<{ [string]: QueryMockPrimitive }, mixed>,
+  typeResolver: GraphQLTypeResolver<{ [string]: QueryMockPrimitive }, mixed>
+|};
+
+/**
+ * The mock resolvers are passed to the execution instead of being
+ * installed on the schema. This way, many mocked servers with
+ * different mocks can share the same schema.
+ */
+function buildMockedSchema(
+  schemaDefinition: SchemaDefinition,
+  mocks: MockMap,
+  automocks,
+  options: MockServerOptions,
+  isAsync: boolean
+): MockedSchema {
+  validateGraphQLVersion();
+  validateOptions(options, schemaDefinition);
+
+  const schema = buildSchema(schemaDefinition);
+  if (options.strictRelay) {
+    validateRelaySchema(schema);
+  }
+
+  const resolvers =
+    options.keepResolvers && isSchema(schemaDefinition)
+      ? // $FlowFixMe Refined by isSchema
+        getResolvers(schemaDefinition)
+      : undefined;
+
+  // Automocks are added to a copy so that the caller's mocks can be
+  // shared by servers with different automocks.
+  const allMocks = {};
+  Object.keys(mocks).forEach(typeName => {
+    const typeMocks = mocks[typeName];
+    // Invalid type mocks are kept as is for `validateMocks`.
+    allMocks[typeName] =
+      typeMocks && typeof typeMocks === 'object' ? { ...typeMocks } : typeMocks;
+  });
 
   if (automocks) {
-    addAutomocks(schema, mocks, automocks);
+    addAutomocks(schema, allMocks, automocks);
   }
 
-  validateMocks(mocks, schema);
+  validateMocks(allMocks, schema);
 
+  const fieldResolvers = {};
   forEachField(schema, (type, field) => {
-    field.resolve = getFieldResolver(type, field, mocks);
+    fieldResolvers[type.name] = fieldResolvers[type.name] || {};
+    fieldResolvers[type.name][field.name] = getFieldResolver(
+      type,
+      field,
+      allMocks,
+      isAsync
+    );
   });
 
-  forEachInterface(schema, interfaceType => {
-    interfaceType.resolveType = interfaceResolveType;
+  const { store } = options;
+  if (store) {
+    forEachField(schema, (type, field) => {
+      if (isRelayNode(type) && isStorableField(field)) {
+        fieldResolvers[type.name][field.name] = getStoreFieldResolver(
+          type,
+          field,
+          // The resolvers of the node fields before they are wrapped.
+          { ...fieldResolvers[type.name] },
+          store
+        );
+      }
+    });
+  }
+
+  const typeResolvers = {};
+  forEachAbstractType(schema, abstractType => {
+    typeResolvers[abstractType.name] = getTypeResolver(
+      abstractType,
+      allMocks,
+      options
+    );
   });
 
-  return (query: string, variables: Object = {}, mockOverride: Object = {}) => {
-    const result = graphqlSync(
-      schema,
-      query,
-      // TODO Rename to mockOverride
-      { queryMock: mockOverride },
-      {},
-      variables
+  const fieldResolver = (source, args, context, info) => {
+    markUsedMockOverrideKey(source, context, info);
+    if (!info.path.prev) {
+      validateRootQueryMock(source, args, context, info);
+    }
+    return fieldResolvers[info.parentType.name][info.fieldName](
+      source,
+      args,
+      context,
+      info
     );
-    throwUnexpectedErrors(result);
-    return result;
+  };
+  const typeResolver = (source, context, info, abstractType) =>
+    typeResolvers[abstractType.name](source, context, info);
+
+  if (!resolvers) {
+    return { schema, fieldResolver, typeResolver };
+  }
+
+  return {
+    schema,
+    fieldResolver: getPartialFieldResolver(
+      fieldResolver,
+      resolvers,
+      mocks,
+      isAsync
+    ),
+    typeResolver: getPartialTypeResolver(typeResolver, resolvers)
+  };
+}
+
+const entityIdCache: WeakMap<Root, mixed> = new WeakMap();
+
+/**
+ * With `options.store`, the leaf fields of Relay nodes are read from the
+ * store if they were resolved before for the same `__typename` and `id`.
+ *
+ * The values defined by `mockOverride` or by the mock of the parent field
+ * take precedence over the store, and are written to it. This way,
+ * mutation payloads patch the stored nodes.
+ */
+function getStoreFieldResolver(
+  type: GraphQLObjectType,
+  field: GraphQLField<mixed, mixed>,
+  nodeFieldResolvers: { [fieldName: string]: Function },
+  store: MockStore
+) {
+  return (source: Root, args, context: MockContext, info) => {
+    // The id is resolved once per node, whether or not it is queried.
+    if (!entityIdCache.has(source)) {
+      entityIdCache.set(
+        source,
+        nodeFieldResolvers.id(source, {}, context, {
+          ...info,
+          fieldName: 'id',
+          path: { prev: info.path.prev, key: getIdResponseKey(source, info) }
+        })
+      );
+    }
+
+    return resolveMockValues([entityIdCache.get(source)], ([id]) => {
+      if (field.name === 'id' || id == null || id instanceof Error) {
+        return field.name === 'id'
+          ? id
+          : nodeFieldResolvers[field.name](source, args, context, info);
+      }
+
+      const fieldName =
+        typeof info.path.key === 'string' ? info.path.key : field.name;
+      const isDefinedByParent =
+        hasMockValue(source.queryMock, fieldName) ||
+        hasMockValue(source.parentMock, field.name);
+
+      const entity = store.get(type.name, id);
+      if (!isDefinedByParent && entity && entity[field.name] !== undefined) {
+        return entity[field.name];
+      }
+
+      return resolveMockValues(
+        [nodeFieldResolvers[field.name](source, args, context, info)],
+        ([value]) => {
+          if (!(value instanceof Error)) {
+            store.set(type.name, id, { [field.name]: value });
+          }
+          return value;
+        }
+      );
+    });
+  };
+}
+
+/**
+ * The id may be selected with an alias, in which case `mockOverride`
+ * defines it under the alias.
+ */
+function getIdResponseKey(source: Root, info: GraphQLResolveInfo): string {
+  if (info.fieldName === 'id' && typeof info.path.key === 'string') {
+    return info.path.key;
+  }
+
+  const responseKeys = getSiblingResponseKeys(info, 'id');
+  return (
+    responseKeys.find(responseKey =>
+      hasMockValue(source.queryMock, responseKey)
+    ) ||
+    responseKeys[0] ||
+    'id'
+  );
+}
+
+/**
+ * Only the leaf fields without arguments are stored.
+ */
+function isStorableField(field: GraphQLField<mixed, mixed>) {
+  return field.args.length === 0 && isLeafType(getNamedType(field.type));
+}
+
+function hasMockValue(mock: mixed, key: string) {
+  return !!mock && typeof mock === 'object' && mock[key] !== undefined;
+}
+
+type Resolvers = {|
+  fields: { [typeName: string]: { [fieldName: string]: Function } },
+  resolveType: { [typeName: string]: Function },
+  isTypeOf: { [typeName: string]: Function }
+|};
+
+function getResolvers(schema: GraphQLSchema): Resolvers {
+  const resolvers = { fields: {}, resolveType: {}, isTypeOf: {} };
+  forEachField(schema, (type, field) => {
+    if (field.resolve) {
+      resolvers.fields[type.name] = resolvers.fields[type.name] || {};
+      resolvers.fields[type.name][field.name] = field.resolve;
+    }
+    if (type.isTypeOf) {
+      resolvers.isTypeOf[type.name] = type.isTypeOf;
+    }
+  });
+  forEachAbstractType(schema, abstractType => {
+    if (abstractType.resolveType) {
+      resolvers.resolveType[abstractType.name] = abstractType.resolveType;
+    }
+  });
+  return resolvers;
+}
+
+/**
+ * With `options.keepResolvers`, the resolvers of the schema keep running.
+ * A field is mocked if:
+ * - it does not have a resolver and its parent value does not define it
+ * - it is defined in `mocks`
+ * - it is defined in the `mockOverride` of its parent
+ * The resolvers receive the value of their parent object. If the parent
+ * object is mocked, they receive its base mock value, including its type
+ * mock, shallow merged with its `mockOverride` instead.
+ */
+function getPartialFieldResolver(
+  mockFieldResolver: GraphQLFieldResolver<any, mixed>,
+  resolvers: Resolvers,
+  mocks: MockMap,
+  isAsync: boolean
+): GraphQLFieldResolver<any, mixed> {
+  return (source, args, context: MockContext, info) => {
+    const typeName = info.parentType.name;
+    const resolver =
+      resolvers.fields[typeName] && resolvers.fields[typeName][info.fieldName];
+    const isMocked = !!(mocks[typeName] && mocks[typeName][info.fieldName]);
+
+    if (mockRoots.has(source)) {
+      const isOverridden =
+        source.queryMock && source.queryMock[info.path.key] !== undefined;
+      if (!resolver || isMocked || isOverridden) {
+        return mockFieldResolver(source, args, context, info);
+      }
+      return resolveMockValues(
+        [getMockedParentValue(source, mocks, isAsync, context, info)],
+        ([parentValue]) => resolver(parentValue, args, context.context, info)
+      );
+    }
+
+    if (!isMocked) {
+      if (resolver) {
+        return resolver(source, args, context.context, info);
+      }
+      if (source && source[info.fieldName] !== undefined) {
+        return defaultFieldResolver(source, args, context.context, info);
+      }
+    }
+
+    return mockFieldResolver(
+      createRoot(undefined, undefined),
+      args,
+      context,
+      info
+    );
+  };
+}
+
+/**
+ * The mock functions of the parent value are called without arguments
+ * since the fields they mock are not the ones being resolved.
+ */
+function getMockedParentValue(
+  source: Root,
+  mocks: MockMap,
+  isAsync: boolean,
+  context: MockContext,
+  info: GraphQLResolveInfo
+) {
+  const type = info.parentType;
+  return random.withGenerator(
+    getPathGenerator(context, info.path.prev, type.name, '__parent'),
+    () => {
+      const parentMock = getParentMock(
+        type,
+        source,
+        mocks,
+        isAsync,
+        getPathGenerator(context, info.path.prev, type.name, '__self')
+      );
+      return resolveMockValues([parentMock], ([parentMock]) =>
+        resolveMockedObject({
+          ...(parentMock && typeof parentMock === 'object' ? parentMock : {}),
+          ...(source.queryMock && typeof source.queryMock === 'object'
+            ? source.queryMock
+            : {})
+        })
+      );
+    }
+  );
+}
+
+function resolveMockedValue(mock: mixed) {
+  return resolveMockValues([getMockValue(mock, {})], ([value]) => {
+    if (value instanceof MockList) {
+      const items = [];
+      for (let index = 0; index < value.length; index++) {
+        items.push(resolveMockedValue(value.mockFunction({}, index)));
+      }
+      return resolveMockValues(items, items => items);
+    }
+
+    if (Array.isArray(value)) {
+      return resolveMockValues(value.map(resolveMockedValue), items => items);
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Error)) {
+      return resolveMockedObject(value);
+    }
+
+    return value;
+  });
+}
+
+function resolveMockedObject(object: { [string]: mixed }) {
+  const keys = Object.keys(object);
+  return resolveMockValues(
+    keys.map(key => resolveMockedValue(object[key])),
+    values => {
+      const resolvedObject = {};
+      keys.forEach((key, index) => {
+        resolvedObject[key] = values[index];
+      });
+      return resolvedObject;
+    }
+  );
+}
+
+/**
+ * The type of the values returned by the resolvers is resolved by
+ * the resolvers of the schema, `__typename` or `isTypeOf`.
+ */
+function getPartialTypeResolver(
+  mockTypeResolver: GraphQLTypeResolver<any, mixed>,
+  resolvers: Resolvers
+): GraphQLTypeResolver<any, mixed> {
+  return (value, context: MockContext, info, abstractType) => {
+    if (mockRoots.has(value)) {
+      return mockTypeResolver(value, context, info, abstractType);
+    }
+
+    const resolveType = resolvers.resolveType[abstractType.name];
+    if (resolveType) {
+      return resolveType(value, context.context, info, abstractType);
+    }
+
+    if (value && typeof value.__typename === 'string') {
+      return value.__typename;
+    }
+
+    const type = info.schema
+      .getPossibleTypes(abstractType)
+      .find(
+        possibleType =>
+          resolvers.isTypeOf[possibleType.name] &&
+          resolvers.isTypeOf[possibleType.name](value, context.context, info)
+      );
+    return type && type.name;
   };
 }
 
@@ -98,7 +864,7 @@ function addAutomocks(schema, mocks, getMocks) {
     }
 
     for (let getMock of getMocks) {
-      const baseMock = getMock(parentType, field, getMocks);
+      const baseMock = getMock(parentType, field, getMocks, schema);
       if (baseMock) {
         mocks[parentType.name] = mocks[parentType.name] || {};
         mocks[parentType.name][field.name] = baseMock;
@@ -109,26 +875,175 @@ function addAutomocks(schema, mocks, getMocks) {
 }
 
 /**
- * In order to resolve interface field, we curretly require users
- * to specify the type to resolve to via `__typename` in `queryMock`.
+ * In order to resolve interface and union fields, we look for the type
+ * to resolve to in this order:
+ * - `__typename` in `queryMock`
+ * - `__typename` in the value returned by the base mock of the field
+ * - the base mock for `__typename` defined on the abstract type itself,
+ *   ie `mocks[abstractTypeName].__typename`
+ * - the `resolveType` option of `mockServer`
+ * - the type of the fragment selected by the query if there is only one
+ * If none of them is defined, a validation error is thrown.
  *
  * Future work:
- * We may want to remove that requirement so queries can always resolve
- * succesfully without having to specify a `queryMock`.
- * Here are some ideas:
- * - Have this function pick randomly a valid type
- * - Have this function look at the query fragment and pick the most likely type
- * - Have this function look at the query fragment, pick its type if there is only one,
- *   otherwise throw a helpful validation error.
- * - Have this function be customizable via MockMap / baseMock
  * - Have this function be customizable via autoMock
  */
-const interfaceResolveType = markUnexpectedErrors(source => {
-  if (!source.queryMock || !source.queryMock.__typename) {
-    throw Error('queryMock must specify type for interface fields.');
+function getTypeResolver(
+  abstractType: GraphQLInterfaceType | GraphQLUnionType,
+  mocks: MockMap,
+  options: MockServerOptions
+) {
+  return markUnexpectedErrors((source, context: MockContext, info) =>
+    random.withGenerator(
+      getPathGenerator(context, info.path, abstractType.name, '__typename'),
+      () => {
+        let typeName;
+        let typeNameSource;
+
+        if (source.queryMock && source.queryMock.__typename) {
+          typeName = source.queryMock.__typename;
+          typeNameSource = 'mockOverride';
+        } else if (source.parentMock && source.parentMock.__typename) {
+          typeName = source.parentMock.__typename;
+          typeNameSource = `Base mock for '${info.parentType.name}.${
+            info.fieldName
+          }'`;
+        } else if (
+          mocks[abstractType.name] &&
+          mocks[abstractType.name].__typename
+        ) {
+          typeName = mocks[abstractType.name].__typename();
+          typeNameSource = `Base mock for '${abstractType.name}.__typename'`;
+        } else if (options.resolveType) {
+          const resolveType =
+            typeof options.resolveType === 'function'
+              ? options.resolveType
+              : defaultTypeResolvers[options.resolveType];
+          typeName = resolveType(abstractType, info);
+          typeNameSource = 'options.resolveType';
+        } else {
+          typeName = inferFragmentTypeName(abstractType, info);
+          typeNameSource = 'The query fragment';
+        }
+
+        return resolveMockValues([typeName], ([typeName]) => {
+          if (!typeName) {
+            throw Error(
+              `queryMock must specify type for ${getAbstractTypeKind(
+                abstractType
+              )} fields.`
+            );
+          }
+
+          const type = info.schema.getType(typeName);
+          if (!type || !info.schema.isPossibleType(abstractType, type)) {
+            const possibleTypeNames = info.schema
+              .getPossibleTypes(abstractType)
+              .map(possibleType => `'${possibleType.name}'`);
+            throw Error(
+              `${typeNameSource} specified '__typename' '${typeName}' ` +
+                `for path '${getFullPath(info.path)}', ` +
+                `which is not a possible type of ` +
+                `${getAbstractTypeKind(abstractType)} '${
+                  abstractType.name
+                }'.\n` +
+                `Possible types are: ${possibleTypeNames.join(', ')}.`
+            );
+          }
+
+          return typeName;
+        });
+      }
+    )
+  );
+}
+
+const defaultTypeResolvers: { [string]: TypeResolver } = {
+  random: (abstractType, info) => {
+    const possibleTypes = info.schema.getPossibleTypes(abstractType);
+    return possibleTypes[random.getInt(0, possibleTypes.length - 1)].name;
+  },
+
+  first: (abstractType, info) =>
+    info.schema.getPossibleTypes(abstractType)[0].name,
+
+  fragment: (abstractType, info) => {
+    const fragmentTypeName = inferFragmentTypeName(abstractType, info);
+    if (!fragmentTypeName) {
+      throw Error(
+        `Could not infer the type of ${getAbstractTypeKind(abstractType)} ` +
+          `'${abstractType.name}' for path '${getFullPath(info.path)}'.\n` +
+          `The query does not select a fragment on any of its ` +
+          `possible types. Specify '__typename' in 'mockOverride' instead.`
+      );
+    }
+    return fragmentTypeName;
+  }
+};
+
+/**
+ * Returns the type of the inline fragment or named fragment
+ * selected on an abstract field if there is exactly one.
+ * Fragments on abstract types (e.g. `... on Node`) are traversed
+ * to look for fragments on their possible types.
+ */
+function inferFragmentTypeName(
+  abstractType: GraphQLInterfaceType | GraphQLUnionType,
+  info: GraphQLResolveInfo
+): string | void {
+  const typeNames = [];
+
+  const visitSelectionSet = selectionSet => {
+    if (!selectionSet) {
+      return;
+    }
+
+    selectionSet.selections.forEach(selection => {
+      let fragment;
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        fragment = selection;
+      } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        fragment = info.fragments[selection.name.value];
+      } else {
+        return;
+      }
+
+      const type =
+        fragment.typeCondition &&
+        info.schema.getType(fragment.typeCondition.name.value);
+      if (
+        type instanceof GraphQLObjectType &&
+        info.schema.isPossibleType(abstractType, type)
+      ) {
+        if (!typeNames.includes(type.name)) {
+          typeNames.push(type.name);
+        }
+      } else {
+        visitSelectionSet(fragment.selectionSet);
+      }
+    });
+  };
+
+  info.fieldNodes.forEach(fieldNode =>
+    visitSelectionSet(fieldNode.selectionSet)
+  );
+
+  if (typeNames.length > 1) {
+    throw Error(
+      `Could not infer the type of ${getAbstractTypeKind(abstractType)} ` +
+        `'${abstractType.name}' for path '${getFullPath(info.path)}'.\n` +
+        `The query selects fragments on more than one possible type: ` +
+        `${typeNames.map(typeName => `'${typeName}'`).join(', ')}. ` +
+        `Specify '__typename' in 'mockOverride' to pick one of them.`
+    );
   }
-  return source.queryMock.__typename;
-});
+
+  return typeNames[0];
+}
+
+function getAbstractTypeKind(abstractType) {
+  return abstractType instanceof GraphQLUnionType ? 'union' : 'interface';
+}
 
 type Root = {|
   queryMock: any,
@@ -138,64 +1053,176 @@ type Root = {|
 function getFieldResolver(
   type: GraphQLObjectType,
   field: GraphQLField<mixed, mixed>,
-  mocks: MockMap
+  mocks: MockMap,
+  isAsync: boolean
 ): GraphQLFieldResolver<{ [string]: QueryMockPrimitive }, mixed> {
-  return markUnexpectedErrors((source, args, context, info) => {
-    const baseMock = getFieldMock(type, field, mocks);
-    const parentMock = source.parentMock && source.parentMock[field.name];
-
-    const mergedBaseMocks = mergeBaseMocks(baseMock, parentMock, field.type, {
-      parentType: type,
-      field: field,
-      path: undefined
-    });
-    const mergedBaseMocksValue = mergedBaseMocks(args);
+  return markUnexpectedErrors((source, args, context: MockContext, info) =>
+    random.withGenerator(
+      getPathGenerator(context, info.path, type.name, field.name, args),
+      () => {
+        const parentMockObject = getParentMock(
+          type,
+          source,
+          mocks,
+          isAsync,
+          getPathGenerator(context, info.path.prev, type.name, '__self')
+        );
 
-    // TODO check this
-    const fieldName =
-      typeof info.path.key === 'string' ? info.path.key : field.name;
-    const queryMockValue = source.queryMock
-      ? getMockValue(source.queryMock[fieldName], args)
-      : undefined;
+        return resolveMockValues([parentMockObject], ([parentMockObject]) => {
+          const parentMock = parentMockObject && parentMockObject[field.name];
+          const baseMock = getFieldMock(type, field, mocks);
+
+          const mergedBaseMocks = mergeBaseMocks(
+            baseMock,
+            parentMock,
+            field.type,
+            {
+              parentType: type,
+              field: field,
+              path: undefined,
+              isAsync
+            }
+          );
+
+          // TODO check this
+          const fieldName =
+            typeof info.path.key === 'string' ? info.path.key : field.name;
+
+          return resolveMockValues(
+            [
+              mergedBaseMocks(args),
+              source.queryMock
+                ? getMockValue(source.queryMock[fieldName], args)
+                : undefined
+            ],
+            ([mergedBaseMocksValue, queryMockValue]) => {
+              validateQueryMockValue(
+                field.type,
+                queryMockValue,
+                info,
+                info.path
+              );
+              return mergeFieldMockValues(
+                mergedBaseMocksValue,
+                queryMockValue,
+                field,
+                args,
+                info
+              );
+            }
+          );
+        });
+      }
+    )
+  );
+}
 
-    if (!(getNullableType(field.type) instanceof GraphQLList)) {
-      // TODO remove args?
-      return mergeMockValues(mergedBaseMocksValue, queryMockValue, field);
-    }
+function mergeFieldMockValues(
+  mergedBaseMocksValue,
+  queryMockValue,
+  field: GraphQLField<mixed, mixed>,
+  args: FieldArgs,
+  info: GraphQLResolveInfo
+) {
+  const nullableType = getNullableType(field.type);
+  if (!(nullableType instanceof GraphQLList)) {
+    // TODO remove args?
+    return mergeMockValues(mergedBaseMocksValue, queryMockValue, field);
+  }
 
-    if (queryMockValue === null || queryMockValue instanceof Error) {
-      return queryMockValue;
-    }
+  if (queryMockValue === null || queryMockValue instanceof Error) {
+    return queryMockValue;
+  }
 
-    const mergedArray = [];
-    let queryMockList = queryMockValue;
+  const mergedArray = [];
+  let queryMockList = queryMockValue;
 
-    if (Array.isArray(queryMockList)) {
-      const queryMockArray = queryMockList;
-      queryMockList = new MockList(
-        queryMockArray.length,
-        ({}, index) => queryMockArray[index]
-      );
-    }
+  if (Array.isArray(queryMockList)) {
+    const queryMockArray = queryMockList;
+    queryMockList = new MockList(
+      queryMockArray.length,
+      ({}, index) => queryMockArray[index]
+    );
+  }
 
-    if (queryMockValue === undefined) {
-      queryMockList = new MockList(mergedBaseMocksValue.length, () => {});
-    }
+  if (queryMockValue === undefined) {
+    queryMockList = new MockList(mergedBaseMocksValue.length, () => {});
+  }
 
-    for (let index = 0; index < queryMockList.length; index++) {
-      const mockListItemValue = mergedBaseMocksValue.mockFunction(args, index);
-      const queryMockListItemValue = queryMockList.mockFunction(args, index);
-      mergedArray.push(
-        mergeMockValues(mockListItemValue, queryMockListItemValue, field)
-      );
-    }
-    return mergedArray;
-  });
+  for (let index = 0; index < queryMockList.length; index++) {
+    const mockListItemValue = mergedBaseMocksValue.mockFunction(args, index);
+    const queryMockListItemValue = queryMockList.mockFunction(args, index);
+    mergedArray.push(
+      resolveMockValues(
+        [mockListItemValue, queryMockListItemValue],
+        ([mockListItemValue, queryMockListItemValue]) => {
+          validateQueryMockValue(
+            nullableType.ofType,
+            queryMockListItemValue,
+            info,
+            {
+              prev: info.path,
+              key: index
+            }
+          );
+          return mergeMockValues(
+            mockListItemValue,
+            queryMockListItemValue,
+            field
+          );
+        }
+      )
+    );
+  }
+  return resolveMockValues(mergedArray, mergedArray => mergedArray);
+}
+
+const typeMockCache: WeakMap<Root, mixed> = new WeakMap();
+
+/**
+ * Returns the parent mock deep merged with the type mock of the parent type,
+ * ie `mocks[typeName].__self`. The parent mock takes precedence.
+ *
+ * The type mock is called once per object so that the values it
+ * returns for related fields are consistent with each other.
+ */
+function getParentMock(
+  type: GraphQLObjectType,
+  source: Root,
+  mocks: MockMap,
+  isAsync: boolean,
+  generator: () => number
+) {
+  const typeMock = mocks[type.name] && mocks[type.name].__self;
+  if (!typeMock) {
+    return source.parentMock;
+  }
+
+  if (!typeMockCache.has(source)) {
+    const mergedTypeMocks = mergeBaseMocks(
+      typeMock,
+      source.parentMock,
+      type,
+      // Type mocks are not attached to a field so we use
+      // a placeholder field for the validation messages.
+      {
+        parentType: type,
+        field: { name: '__self', type },
+        path: undefined,
+        isAsync
+      }
+    );
+    typeMockCache.set(
+      source,
+      random.withGenerator(generator, () => mergedTypeMocks())
+    );
+  }
+  return typeMockCache.get(source);
 }
 
 function mergeMockValues(baseMockValue, queryMockValue, field) {
-  if (queryMockValue === null) {
-    return null;
+  if (queryMockValue === null || queryMockValue instanceof Error) {
+    return queryMockValue;
   }
 
   if (queryMockValue === undefined && baseMockValue instanceof Error) {
@@ -210,10 +1237,20 @@ function mergeMockValues(baseMockValue, queryMockValue, field) {
     return queryMockValue;
   }
 
-  return {
-    queryMock: queryMockValue,
-    parentMock: baseMockValue
-  };
+  return createRoot(queryMockValue, baseMockValue);
+}
+
+const mockRoots: WeakSet<Root> = new WeakSet();
+
+/**
+ * Roots are the sources of mocked fields. They are tracked so that
+ * they can be told apart from the values returned by the resolvers
+ * kept by `options.keepResolvers`.
+ */
+function createRoot(queryMock: any, parentMock: any): Root {
+  const root = { queryMock, parentMock };
+  mockRoots.add(root);
+  return root;
 }
 
 type FieldPath = {|
@@ -224,7 +1261,8 @@ type FieldPath = {|
 type BaseMockInfo = {|
   +field: GraphQLField<mixed, mixed>,
   +parentType: GraphQLObjectType,
-  +path: FieldPath | void
+  +path: FieldPath | void,
+  +isAsync: boolean
 |};
 
 function mergeBaseMocks(
@@ -234,97 +1272,119 @@ function mergeBaseMocks(
   baseMockInfo: BaseMockInfo
 ) {
   return function(...args: Array<mixed>) {
-    let baseMockValue = getBaseMockValue(
-      graphQLType,
-      baseMockInfo,
-      baseMock,
-      ...args
+    return resolveMockValues(
+      [
+        getBaseMockValue(graphQLType, baseMockInfo, baseMock, ...args),
+        getMockValue(overrideMock, ...args)
+      ],
+      ([baseMockValue, overrideMockValue]) =>
+        mergeBaseMockValues(
+          baseMockValue,
+          overrideMockValue,
+          graphQLType,
+          baseMockInfo
+        )
     );
+  };
+}
+
+function mergeBaseMockValues(
+  baseMockValue,
+  overrideMockValue,
+  graphQLType: GraphQLOutputType,
+  baseMockInfo: BaseMockInfo
+) {
+  const nullableType = getNullableType(graphQLType);
 
-    let overrideMockValue = getMockValue(overrideMock, ...args);
-    const nullableType = getNullableType(graphQLType);
+  if (
+    overrideMockValue === null ||
+    overrideMockValue instanceof Error ||
+    (isLeafType(nullableType) && overrideMockValue !== undefined)
+  ) {
+    return overrideMockValue;
+  }
 
-    if (
-      overrideMockValue === null ||
-      overrideMockValue instanceof Error ||
-      (isLeafType(nullableType) && overrideMockValue !== undefined)
-    ) {
-      return overrideMockValue;
-    }
+  if (overrideMockValue === undefined && isLeafType(nullableType)) {
+    return baseMockValue;
+  }
 
-    if (overrideMockValue === undefined && isLeafType(nullableType)) {
-      return baseMockValue;
-    }
+  if (overrideMockValue === undefined && baseMockValue instanceof Error) {
+    return baseMockValue;
+  }
 
-    if (overrideMockValue === undefined && baseMockValue instanceof Error) {
-      return baseMockValue;
-    }
+  if (baseMockValue === undefined) {
+    return overrideMockValue;
+  }
 
-    if (baseMockValue === undefined) {
-      return overrideMockValue;
+  if (nullableType instanceof GraphQLList) {
+    if (overrideMockValue === undefined) {
+      overrideMockValue = new MockList(baseMockValue.length);
     }
 
-    if (nullableType instanceof GraphQLList) {
-      if (overrideMockValue === undefined) {
-        overrideMockValue = new MockList(baseMockValue.length);
-      }
-
-      const baseMockList = baseMockValue;
-      let overrideMockList = overrideMockValue;
-
-      const overrideMockListFunction = overrideMockList.mockFunction;
-      const baseMockListFunction = baseMockList.mockFunction;
-
-      return new MockList(overrideMockList.length, (args, index) => {
-        const graphQLItemType = getNamedType(graphQLType);
-        return mergeBaseMocks(
-          baseMockListFunction,
-          overrideMockListFunction,
-          graphQLItemType,
-          {
-            ...baseMockInfo,
-            path: {
-              prev: baseMockInfo.path,
-              key: `${index}`
-            }
+    const baseMockList = baseMockValue;
+    let overrideMockList = overrideMockValue;
+
+    const overrideMockListFunction = overrideMockList.mockFunction;
+    const baseMockListFunction = baseMockList.mockFunction;
+
+    return new MockList(overrideMockList.length, (args, index) => {
+      const graphQLItemType = getNamedType(graphQLType);
+      return mergeBaseMocks(
+        baseMockListFunction,
+        overrideMockListFunction,
+        graphQLItemType,
+        {
+          ...baseMockInfo,
+          path: {
+            prev: baseMockInfo.path,
+            key: `${index}`
           }
-        )(args, index);
-      });
-    }
+        }
+      )(args, index);
+    });
+  }
 
-    // (nullableType instanceof GraphQLObjectType) === true
+  // (nullableType instanceof GraphQLObjectType) === true
 
-    if (overrideMockValue === undefined) {
-      overrideMockValue = {};
+  if (overrideMockValue === undefined) {
+    overrideMockValue = {};
+  }
+  const mergedMockObject = {};
+  const mergedObjectObjectKeys = new Set(
+    Object.keys(overrideMockValue).concat(Object.keys(baseMockValue))
+  );
+  const overrideMockValueCopy = overrideMockValue;
+  const baseMockValueCopy = baseMockValue;
+
+  mergedObjectObjectKeys.forEach(nestedFieldName => {
+    // `__typename` is not a field and is read as is by the type resolver.
+    if (nestedFieldName === '__typename') {
+      mergedMockObject.__typename =
+        overrideMockValueCopy.__typename !== undefined
+          ? overrideMockValueCopy.__typename
+          : baseMockValueCopy.__typename;
+      return;
     }
-    const mergedMockObject = {};
-    const mergedObjectObjectKeys = new Set(
-      Object.keys(overrideMockValue).concat(Object.keys(baseMockValue))
-    );
-    const overrideMockValueCopy = overrideMockValue;
-    const baseMockValueCopy = baseMockValue;
-
-    mergedObjectObjectKeys.forEach(nestedFieldName => {
-      const nestedField = nullableType.getFields()[nestedFieldName];
-
-      mergedMockObject[nestedFieldName] = (...mergedMockArgs) => {
-        return mergeBaseMocks(
-          baseMockValueCopy[nestedFieldName],
-          overrideMockValueCopy[nestedFieldName],
-          nestedField.type,
-          {
-            ...baseMockInfo,
-            path: {
-              prev: baseMockInfo.path,
-              key: nestedFieldName
-            }
+
+    const nestedField = nullableType.getFields()[nestedFieldName];
+
+    mergedMockObject[nestedFieldName] = (...mergedMockArgs) => {
+      return mergeBaseMocks(
+        baseMockValueCopy[nestedFieldName],
+        overrideMockValueCopy[nestedFieldName],
+        nestedField.type,
+        {
+          ...baseMockInfo,
+          path: {
+            prev: baseMockInfo.path,
+            key: nestedFieldName
           }
-        )(...mergedMockArgs);
-      };
-    });
+        }
+      )(...mergedMockArgs);
+    };
+  });
 
-    return mergedMockObject;
-  };
+  return mergedMockObject;
 }
 
 // TODO Rename to getMockValue
@@ -336,27 +1396,60 @@ function getBaseMockValue(
   baseMock,
   ...baseMockArgs
 ) {
-  const nullableType = getNullableType(graphQLType);
   const path = baseMockInfo.path;
 
   let baseMockValue;
   try {
     baseMockValue = getMockValue(baseMock, ...baseMockArgs);
   } catch (err) {
-    throw Error(
-      `Base mock for \'${getFieldName(baseMockInfo)}\' ` +
-        `threw an error for path '${getFullPath(path)}'.\n` +
-        `Base mocks are not allowed to throw errors. ` +
-        `In the rare case you actually want a base mock to return a GraphQL error, ` +
-        `have the base mock return an Error() instead of throwing one.\n` +
-        `Original error:\n${err}`
+    throw getBaseMockThrewError(baseMockInfo, err);
+  }
+
+  if (baseMockValue instanceof Promise) {
+    if (!baseMockInfo.isAsync) {
+      throw Error(
+        `Base mock for \'${getFieldName(baseMockInfo)}\' ` +
+          `returned a promise for path '${getFullPath(path)}'.\n` +
+          `Mock functions must be synchronous.`
+      );
+    }
+
+    return baseMockValue.then(
+      resolvedBaseMockValue =>
+        validateBaseMockValue(graphQLType, baseMockInfo, resolvedBaseMockValue),
+      err => {
+        throw getBaseMockThrewError(baseMockInfo, err);
+      }
     );
   }
 
+  return validateBaseMockValue(graphQLType, baseMockInfo, baseMockValue);
+}
+
+function getBaseMockThrewError(baseMockInfo: BaseMockInfo, err: mixed) {
+  return Error(
+    `Base mock for \'${getFieldName(baseMockInfo)}\' ` +
+      `threw an error for path '${getFullPath(baseMockInfo.path)}'.\n` +
+      `Base mocks are not allowed to throw errors. ` +
+      `In the rare case you actually want a base mock to return a GraphQL error, ` +
+      `have the base mock return an Error() instead of throwing one.\n` +
+      `Original error:\n${String(err)}`
+  );
+}
+
+function validateBaseMockValue(
+  graphQLType,
+  baseMockInfo: BaseMockInfo,
+  baseMockValue
+) {
+  const nullableType = getNullableType(graphQLType);
+  const path = baseMockInfo.path;
+
   if (
     baseMockValue === undefined &&
     (nullableType instanceof GraphQLObjectType ||
-      nullableType instanceof GraphQLInterfaceType)
+      nullableType instanceof GraphQLInterfaceType ||
+      nullableType instanceof GraphQLUnionType)
   ) {
     return baseMockValue;
   }
@@ -365,14 +1458,6 @@ function getBaseMockValue(
     return baseMockValue;
   }
 
-  if (baseMockValue instanceof Promise) {
-    throw Error(
-      `Base mock for \'${getFieldName(baseMockInfo)}\' ` +
-        `returned a promise for path '${getFullPath(path)}'.\n` +
-        `Mock functions must be synchronous.`
-    );
-  }
-
   if (baseMockValue === undefined) {
     if (baseMockInfo.path) {
       return baseMockValue;
@@ -448,6 +1533,223 @@ function getBaseMockValue(
   return baseMockValue;
 }
 
+/**
+ * Validates the `mockOverride` value of a field like the values returned
+ * by base mocks. The nested values are validated when their fields are
+ * resolved. Objects can also have values for the aliases selected by
+ * the query.
+ */
+function validateQueryMockValue(
+  graphQLType: GraphQLOutputType,
+  queryMockValue,
+  info: GraphQLResolveInfo,
+  path: FieldPath
+) {
+  if (queryMockValue == null || queryMockValue instanceof Error) {
+    return;
+  }
+
+  const nullableType = getNullableType(graphQLType);
+  const invalidValueError = Error(
+    `mockOverride has an invalid value for path '${getFullPath(path)}'.\n` +
+      `Value '${formatValue(
+        queryMockValue
+      )}' is incompatible with type '${String(nullableType)}'.`
+  );
+
+  if (isLeafType(nullableType)) {
+    let serializedValue;
+    try {
+      serializedValue = nullableType.serialize(queryMockValue);
+    } catch (err) {
+      // The invalid value error is thrown below.
+    }
+    if (serializedValue === undefined) {
+      throw invalidValueError;
+    }
+    return;
+  }
+
+  if (nullableType instanceof GraphQLList) {
+    if (
+      !Array.isArray(queryMockValue) &&
+      !(queryMockValue instanceof MockList)
+    ) {
+      throw invalidValueError;
+    }
+    return;
+  }
+
+  if (
+    typeof queryMockValue !== 'object' ||
+    Array.isArray(queryMockValue) ||
+    queryMockValue instanceof MockList
+  ) {
+    throw invalidValueError;
+  }
+
+  validateQueryMockKeys(
+    nullableType,
+    queryMockValue,
+    info.fieldNodes.map(fieldNode => fieldNode.selectionSet),
+    info,
+    path
+  );
+}
+
+/**
+ * The root fields are not resolved from a parent field, so the keys of
+ * `mockOverride` itself are validated when the first of them resolves.
+ */
+const validateRootQueryMock = markUnexpectedErrors(
+  (source, args, context, info) => {
+    const { queryMock } = source;
+    if (!queryMock || typeof queryMock !== 'object') {
+      return;
+    }
+
+    validateQueryMockKeys(
+      info.parentType,
+      queryMock,
+      [info.operation.selectionSet],
+      info,
+      undefined
+    );
+  }
+);
+
+function validateQueryMockKeys(
+  type: GraphQLObjectType | GraphQLInterfaceType | GraphQLUnionType,
+  queryMock: Object,
+  selectionSets: Array<?SelectionSetNode>,
+  info: GraphQLResolveInfo,
+  path: FieldPath | void
+) {
+  const responseKeys = getResponseKeys(type, selectionSets, info);
+  Object.keys(queryMock).forEach(key => {
+    if (key !== '__typename' && !responseKeys.has(key)) {
+      throw Error(
+        `mockOverride has a value for path '${getFullPath({
+          prev: path,
+          key
+        })}' that is not a field of type '${type.name}'.`
+      );
+    }
+  });
+}
+
+/**
+ * Returns the fields of the type, or of its possible types, and the
+ * aliases selected by the selection sets.
+ */
+function getResponseKeys(
+  type: GraphQLObjectType | GraphQLInterfaceType | GraphQLUnionType,
+  selectionSets: Array<?SelectionSetNode>,
+  info: GraphQLResolveInfo
+): Set<string> {
+  const responseKeys = new Set();
+
+  const types =
+    type instanceof GraphQLObjectType
+      ? [type]
+      : [type, ...info.schema.getPossibleTypes(type)];
+  types.forEach(type => {
+    if (!(type instanceof GraphQLUnionType)) {
+      Object.keys(type.getFields()).forEach(fieldName =>
+        responseKeys.add(fieldName)
+      );
+    }
+  });
+
+  selectionSets.forEach(selectionSet =>
+    getSelectedFields(selectionSet, info).forEach(selectedField =>
+      responseKeys.add(getResponseKey(selectedField))
+    )
+  );
+
+  return responseKeys;
+}
+
+/**
+ * Returns the response keys of the fields with this name selected next
+ * to the field being resolved, ie its siblings in the operation.
+ */
+function getSiblingResponseKeys(
+  info: GraphQLResolveInfo,
+  fieldName: string
+): Array<string> {
+  const pathKeys = [];
+  for (let path = info.path.prev; path; path = path.prev) {
+    // List indexes do not appear in the operation.
+    if (typeof path.key === 'string') {
+      pathKeys.unshift(path.key);
+    }
+  }
+
+  const siblingFields = pathKeys.reduce(
+    (fieldNodes, pathKey) =>
+      fieldNodes
+        .filter(fieldNode => getResponseKey(fieldNode) === pathKey)
+        .reduce(
+          (selectedFields, fieldNode) =>
+            selectedFields.concat(
+              getSelectedFields(fieldNode.selectionSet, info)
+            ),
+          []
+        ),
+    getSelectedFields(info.operation.selectionSet, info)
+  );
+
+  return siblingFields
+    .filter(fieldNode => fieldNode.name.value === fieldName)
+    .map(getResponseKey);
+}
+
+/**
+ * Returns the fields of the selection set, including the fields
+ * selected through fragments.
+ */
+function getSelectedFields(
+  selectionSet: ?SelectionSetNode,
+  info: GraphQLResolveInfo
+): Array<FieldNode> {
+  const selectedFields = [];
+  const visitSelectionSet = selectionSet => {
+    if (!selectionSet) {
+      return;
+    }
+
+    selectionSet.selections.forEach(selection => {
+      if (selection.kind === Kind.FIELD) {
+        selectedFields.push(selection);
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        visitSelectionSet(selection.selectionSet);
+      } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const fragment = info.fragments[selection.name.value];
+        visitSelectionSet(fragment && fragment.selectionSet);
+      }
+    });
+  };
+  visitSelectionSet(selectionSet);
+
+  return selectedFields;
+}
+
+function getResponseKey(fieldNode: FieldNode): string {
+  return fieldNode.alias ? fieldNode.alias.value : fieldNode.name.value;
+}
+
+function formatValue(value: mixed) {
+  if (value && typeof value === 'object') {
+    try {
+      return JSON.stringify(value);
+    } catch (err) {
+      return String(value);
+    }
+  }
+  return String(value);
+}
+
 function getFullPath(fieldPath: FieldPath) {
   const allPaths = [];
 
@@ -527,6 +1829,11 @@ function validateMocks(mocks: MockMap, schema: GraphQLSchema) {
       throw Error(`mocks['${typeName}'] is not defined in schema.`);
     }
 
+    if (typeMap[typeName] instanceof GraphQLUnionType) {
+      validateUnionMocks(mocks, typeName);
+      return;
+    }
+
     if (
       !(
         typeMap[typeName] instanceof GraphQLInterfaceType ||
@@ -545,6 +1852,26 @@ function validateMocks(mocks: MockMap, schema: GraphQLSchema) {
     const fields = typeMap[typeName].getFields();
 
     Object.keys(mocks[typeName]).forEach(fieldName => {
+      if (fieldName === '__self') {
+        if (isInterface) {
+          throw Error(
+            `mocks['${typeName}']['__self'] is not allowed. ` +
+              'Type mocks can only be defined on object types.'
+          );
+        }
+        if (typeof mocks[typeName][fieldName] !== 'function') {
+          throw Error('mocks should be an object of object of functions.');
+        }
+        return;
+      }
+
+      if (isInterface && fieldName === '__typename') {
+        if (typeof mocks[typeName][fieldName] !== 'function') {
+          throw Error('mocks should be an object of object of functions.');
+        }
+        return;
+      }
+
       if (!fields[fieldName]) {
         throw Error(
           `mocks['${typeName}']['${fieldName}'] is not defined in schema.`
@@ -562,21 +1889,112 @@ function validateMocks(mocks: MockMap, schema: GraphQLSchema) {
           'It is not allowed to define mocks for non-leaf fields on interfaces.'
         );
       }
+
+      validateMockMutation(
+        typeMap[typeName],
+        fields[fieldName],
+        mocks[typeName][fieldName]
+      );
     });
   });
 }
 
+function validateUnionMocks(mocks: MockMap, typeName: string) {
+  if (typeof mocks[typeName] !== 'object') {
+    throw Error('mocks should be an object of object of functions.');
+  }
+
+  Object.keys(mocks[typeName]).forEach(fieldName => {
+    if (fieldName !== '__typename') {
+      throw Error(
+        `mocks['${typeName}']['${fieldName}'] is not allowed. ` +
+          `Union mocks can only define '__typename'.`
+      );
+    }
+
+    if (typeof mocks[typeName][fieldName] !== 'function') {
+      throw Error('mocks should be an object of object of functions.');
+    }
+  });
+}
+
+// The `typeResolver` execution argument and `toConfig` were both
+// added in graphql 14.2.0. Older versions silently ignore the former.
+function validateGraphQLVersion() {
+  if (typeof GraphQLSchema.prototype.toConfig !== 'function') {
+    throw Error(
+      'graphql-mock-factory requires graphql 14.2.0 or later. ' +
+        'Please upgrade graphql.'
+    );
+  }
+}
+
+function validateOptions(
+  options: MockServerOptions,
+  schemaDefinition: SchemaDefinition
+) {
+  const {
+    keepResolvers,
+    resolveType,
+    seed,
+    store,
+    unusedMockOverride
+  } = options;
+  // Schema definition strings and introspection results have no resolvers.
+  if (keepResolvers && !isSchema(schemaDefinition)) {
+    throw Error(`options.keepResolvers requires a GraphQLSchema.`);
+  }
+
+  if (store !== undefined && !(store instanceof MockStore)) {
+    throw Error(`options.store must be created with createMockStore().`);
+  }
+
+  if (
+    seed !== undefined &&
+    typeof seed !== 'number' &&
+    typeof seed !== 'string'
+  ) {
+    throw Error(`options.seed must be a number or a string.`);
+  }
+
+  if (
+    unusedMockOverride !== undefined &&
+    unusedMockOverride !== 'warn' &&
+    unusedMockOverride !== 'throw'
+  ) {
+    throw Error(`options.unusedMockOverride must be 'warn' or 'throw'.`);
+  }
+
+  if (
+    resolveType !== undefined &&
+    typeof resolveType !== 'function' &&
+    !defaultTypeResolvers[resolveType]
+  ) {
+    throw Error(
+      `options.resolveType must be a function or one of ` +
+        `${Object.keys(defaultTypeResolvers)
+          .map(name => `'${name}'`)
+          .join(', ')}.`
+    );
+  }
+}
+
 // Error Utils
 
 function markUnexpectedErrors(
   fieldResolver: GraphQLFieldResolver<{ [string]: QueryMockPrimitive }, mixed>
 ) {
+  const markError = error => {
+    error.throwError = true;
+    throw error;
+  };
+
   return function(...args) {
     try {
-      return fieldResolver(...args);
+      const result = fieldResolver(...args);
+      return result instanceof Promise ? result.catch(markError) : result;
     } catch (error) {
-      error.throwError = true;
-      throw error;
+      return markError(error);
     }
   };
 }
@@ -593,8 +2011,163 @@ function throwUnexpectedErrors(result) {
   });
 }
 
+/**
+ * Parse, validation and variable coercion errors are the only errors
+ * returned without `data` since the query is not executed.
+ */
+function throwRequestErrors(result) {
+  if (!result.errors || result.data !== undefined) {
+    return;
+  }
+
+  throw Error(
+    `The query could not be executed:\n\n` +
+      result.errors.map(error => printError(error)).join('\n\n')
+  );
+}
+
+// Promise Utils
+
+/**
+ * Calls `callback` with `values` once they are all resolved.
+ * `callback` is called synchronously if none of the values are promises
+ * so that `mockServer` can keep executing queries synchronously.
+ */
+function resolveMockValues<T>(
+  values: Array<mixed>,
+  callback: (Array<any>) => T
+): T | Promise<T> {
+  if (values.some(value => value instanceof Promise)) {
+    // The callback may generate random values after other queries
+    // started executing so we keep using the current generator.
+    const generator = random.getGenerator();
+    return Promise.all(values).then(values =>
+      random.withGenerator(generator, () => callback(values))
+    );
+  }
+  return callback(values);
+}
+
 // Schema utils
 
+/**
+ * The resolvers of a `GraphQLSchema` take precedence over the mock
+ * resolvers passed to the execution. So a schema with resolvers is
+ * cloned without them. Other schemas are used as is.
+ */
+function buildSchema(schemaDefinition: SchemaDefinition): GraphQLSchema {
+  if (typeof schemaDefinition === 'string') {
+    return buildSchemaFromTypeDefinitions(schemaDefinition);
+  }
+
+  if (isSchema(schemaDefinition)) {
+    // $FlowFixMe Refined by isSchema
+    const schema: GraphQLSchema = schemaDefinition;
+    return hasResolvers(schema) ? cloneSchemaWithoutResolvers(schema) : schema;
+  }
+
+  if (schemaDefinition && typeof schemaDefinition === 'object') {
+    const introspection = schemaDefinition.data || schemaDefinition;
+    if (introspection.__schema) {
+      return buildClientSchema(introspection);
+    }
+  }
+
+  throw Error(
+    `The schema must be a schema definition string, ` +
+      `a GraphQLSchema or an introspection result.`
+  );
+}
+
+function hasResolvers(schema: GraphQLSchema): boolean {
+  let hasResolvers = false;
+  forEachField(schema, (type, field) => {
+    hasResolvers = hasResolvers || !!field.resolve || !!type.isTypeOf;
+  });
+  forEachAbstractType(schema, abstractType => {
+    hasResolvers = hasResolvers || !!abstractType.resolveType;
+  });
+  return hasResolvers;
+}
+
+/**
+ * Object, interface and union types are recreated since they hold the
+ * resolvers. Other types do not hold any resolvers and are shared.
+ */
+function cloneSchemaWithoutResolvers(schema: GraphQLSchema): GraphQLSchema {
+  const clonedTypes = {};
+
+  const getClonedType = (type: any): any => {
+    if (type instanceof GraphQLList) {
+      return new GraphQLList(getClonedType(type.ofType));
+    }
+    if (type instanceof GraphQLNonNull) {
+      return new GraphQLNonNull(getClonedType(type.ofType));
+    }
+    return clonedTypes[type.name] || type;
+  };
+
+  const cloneFields = fields =>
+    mapValues(fields, field => ({
+      ...field,
+      type: getClonedType(field.type),
+      resolve: undefined,
+      subscribe: undefined
+    }));
+
+  const typeMap = schema.getTypeMap();
+  Object.keys(typeMap).forEach(typeName => {
+    const type = typeMap[typeName];
+    if (typeName.startsWith('__')) {
+      return;
+    }
+
+    if (type instanceof GraphQLObjectType) {
+      const config = type.toConfig();
+      clonedTypes[typeName] = new GraphQLObjectType({
+        ...config,
+        isTypeOf: undefined,
+        interfaces: () => config.interfaces.map(getClonedType),
+        fields: () => cloneFields(config.fields)
+      });
+    } else if (type instanceof GraphQLInterfaceType) {
+      const config = type.toConfig();
+      clonedTypes[typeName] = new GraphQLInterfaceType({
+        ...config,
+        resolveType: undefined,
+        fields: () => cloneFields(config.fields)
+      });
+    } else if (type instanceof GraphQLUnionType) {
+      const config = type.toConfig();
+      clonedTypes[typeName] = new GraphQLUnionType({
+        ...config,
+        resolveType: undefined,
+        types: () => config.types.map(getClonedType)
+      });
+    }
+  });
+
+  const config = schema.toConfig();
+  return new GraphQLSchema({
+    ...config,
+    query: config.query && getClonedType(config.query),
+    mutation: config.mutation && getClonedType(config.mutation),
+    subscription: config.subscription && getClonedType(config.subscription),
+    types: config.types.map(getClonedType)
+  });
+}
+
+function mapValues<T, U>(
+  object: { [string]: T },
+  callback: T => U
+): { [string]: U } {
+  const mappedObject = {};
+  Object.keys(object).forEach(key => {
+    mappedObject[key] = callback(object[key]);
+  });
+  return mappedObject;
+}
+
 function forEachField(schema: GraphQLSchema, callback) {
   const typeMap = schema.getTypeMap();
   Object.keys(typeMap).forEach(typeName => {
@@ -615,14 +2188,16 @@ function forEachField(schema: GraphQLSchema, callback) {
   });
 }
 
-function forEachInterface(schema: GraphQLSchema, callback) {
+function forEachAbstractType(schema: GraphQLSchema, callback) {
   const typeMap = schema.getTypeMap();
   Object.keys(typeMap).forEach(typeName => {
     const type = typeMap[typeName];
 
     if (
       getNamedType(type).name.startsWith('__') ||
-      !(type instanceof GraphQLInterfaceType)
+      !(
+        type instanceof GraphQLInterfaceType || type instanceof GraphQLUnionType
+      )
     ) {
       return;
     }
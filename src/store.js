@@ -0,0 +1,46 @@
+// @flow
+
+// Store Utils
+
+type Entity = { [fieldName: string]: mixed };
+
+/**
+ * An in-memory store of the Relay nodes resolved by a mocked server,
+ * keyed by `__typename` and `id`.
+ *
+ * The leaf fields of a node are stored the first time they are resolved
+ * so that subsequent queries return the same values. Mock functions
+ * (eg mutations) can patch the stored nodes with `set`.
+ */
+export class MockStore {
+  entities: Map<string, Entity>;
+
+  constructor(): void {
+    this.entities = new Map();
+  }
+
+  get(typeName: string, id: mixed): ?Entity {
+    return this.entities.get(getEntityKey(typeName, id));
+  }
+
+  set(typeName: string, id: mixed, values: Entity): void {
+    const key = getEntityKey(typeName, id);
+    this.entities.set(key, { ...this.entities.get(key), ...values, id });
+  }
+
+  delete(typeName: string, id: mixed): void {
+    this.entities.delete(getEntityKey(typeName, id));
+  }
+
+  reset(): void {
+    this.entities.clear();
+  }
+}
+
+export function createMockStore(): MockStore {
+  return new MockStore();
+}
+
+function getEntityKey(typeName: string, id: mixed) {
+  return `${typeName}:${String(id)}`;
+}